@@ -0,0 +1,281 @@
+#!/usr/bin/env node
+// Part of <http://miracle.systems/p/h5.modbus.inode> licensed under <MIT>
+
+'use strict';
+
+const modbus = require('h5.modbus');
+const iNodeModbus = require('../lib');
+
+const USAGE = `Usage: h5.modbus.inode [--check] <config-file>
+
+Runs the MODBUS <-> iNode gateway configured by the specified JSON or YAML file.
+The connections and devices are reloaded from the file on SIGHUP.
+
+Options:
+  --check     Validate the config file and exit.
+  -h, --help  Show this help.`;
+
+main(process.argv.slice(2));
+
+/**
+ * @private
+ * @param {Array<string>} args
+ */
+function main(args)
+{
+  if (args.indexOf('-h') !== -1 || args.indexOf('--help') !== -1)
+  {
+    console.log(USAGE);
+
+    return;
+  }
+
+  const checkOnly = args.indexOf('--check') !== -1;
+  const files = args.filter(arg => arg !== '--check');
+
+  if (files.length !== 1)
+  {
+    console.error(USAGE);
+
+    process.exitCode = 1;
+
+    return;
+  }
+
+  let config;
+
+  try
+  {
+    config = iNodeModbus.config.load(files[0]);
+  }
+  catch (err)
+  {
+    console.error(err.message);
+
+    process.exitCode = 1;
+
+    return;
+  }
+
+  if (checkOnly)
+  {
+    console.log(`The config file [${files[0]}] is valid.`);
+
+    return;
+  }
+
+  const logger = createLogger(config.logLevel);
+
+  try
+  {
+    run(files[0], config, logger);
+  }
+  catch (err)
+  {
+    logger.error(err.message);
+
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * @private
+ * @param {string} file
+ * @param {GatewayConfig} config
+ * @param {Logger} logger
+ * @throws {Error} If the gateway or any of the devices can't be created.
+ */
+function run(file, config, logger)
+{
+  const gateway = new iNodeModbus.Gateway(Object.assign({}, config.gateway, {
+    hexEncoded: config.hexEncoded,
+    connectionFactory: connectionConfig => createConnection(connectionConfig, logger)
+  }));
+
+  setUpGatewayLogging(gateway, logger);
+
+  try
+  {
+    gateway.applyConfig(config);
+  }
+  catch (err)
+  {
+    gateway.destroy(true);
+
+    throw err;
+  }
+
+  const slave = modbus.createSlave({
+    listener: {
+      type: 'tcp',
+      serverOptions: {
+        host: config.modbus.host,
+        port: config.modbus.port
+      }
+    },
+    requestHandler: gateway.handleModbusRequest
+  });
+
+  slave.on('error', err => logger.error(`MODBUS slave error: ${err.message}`));
+
+  logger.info(
+    `Started the MODBUS slave on ${config.modbus.host}:${config.modbus.port} with ${config.devices.length} device(s)`
+    + ` and ${config.connections.length} connection(s).`
+  );
+
+  let shuttingDown = false;
+
+  // Re-raises the signal with the default handler restored, which terminates the process without waiting
+  // for the sockets that failed to close.
+  const terminate = signal =>
+  {
+    process.removeAllListeners(signal);
+    process.kill(process.pid, signal);
+  };
+
+  const shutDown = signal =>
+  {
+    if (shuttingDown)
+    {
+      logger.warn(`Received ${signal} again, exiting immediately.`);
+
+      terminate(signal);
+
+      return;
+    }
+
+    shuttingDown = true;
+
+    logger.info(`Received ${signal}, shutting down...`);
+
+    slave.destroy();
+    gateway.destroy(true);
+
+    // The process exits by itself after all the sockets are closed and the timers are cleared.
+    setTimeout(() =>
+    {
+      logger.warn('Failed to close all the connections in time, exiting.');
+
+      terminate(signal);
+    }, 5000).unref();
+  };
+
+  process.on('SIGINT', shutDown.bind(null, 'SIGINT'));
+  process.on('SIGTERM', shutDown.bind(null, 'SIGTERM'));
+  process.on('SIGHUP', () =>
+  {
+    if (shuttingDown)
+    {
+      return;
+    }
+
+    logger.info(`Received SIGHUP, reloading the connections and devices from [${file}]...`);
+
+    try
+    {
+      gateway.applyConfig(iNodeModbus.config.load(file));
+    }
+    catch (err)
+    {
+      logger.error(`Failed to reload the config, keeping the current one: ${err.message}`);
+    }
+  });
+}
+
+/**
+ * @private
+ * @param {ConnectionConfig} connectionConfig
+ * @param {Logger} logger
+ * @returns {Connection}
+ */
+function createConnection(connectionConfig, logger)
+{
+  const address = `${connectionConfig.host}:${connectionConfig.port}`;
+  const connection = iNodeModbus.Gateway.createConnection(connectionConfig);
+
+  connection.on('open', () => logger.info(`Connected to the iNode LAN at ${address}.`));
+  connection.on('close', () => logger.warn(`Disconnected from the iNode LAN at ${address}.`));
+  connection.on('error', err => logger.error(`iNode LAN connection error (${address}): ${err.message}`));
+
+  return connection;
+}
+
+/**
+ * @private
+ * @param {Gateway} gateway
+ * @param {Logger} logger
+ */
+function setUpGatewayLogging(gateway, logger)
+{
+  gateway.on('config:apply', changes =>
+  {
+    const describe = (items, verb) => items.length ? ` ${verb} ${items.join(', ')};` : '';
+    const summary = describe(changes.devices.added.map(d => `${d.mac} (${d.unit})`), 'added device(s):')
+      + describe(changes.devices.updated.map(d => `${d.mac} (${d.previousUnit} -> ${d.unit})`), 'updated device(s):')
+      + describe(changes.devices.removed.map(d => `${d.mac} (${d.unit})`), 'removed device(s):')
+      + describe(changes.connections.added, 'added connection(s):')
+      + describe(changes.connections.updated, 'updated connection(s):')
+      + describe(changes.connections.removed, 'removed connection(s):');
+
+    logger.info(`Applied the config:${summary || ' no changes.'}`);
+  });
+  gateway.on('device:discover', device => logger.info(`Discovered device ${device.mac} as unit ${device.unit}.`));
+  gateway.on('device:receiver', (device, receiverId) =>
+  {
+    logger.debug(`Device ${device.mac} is now best heard by receiver ${receiverId}.`);
+  });
+  gateway.on('alarm:raise', (device, alarm) => logger.warn(`Alarm [${alarm.name}] raised by device ${device.mac}.`));
+  gateway.on('alarm:clear', (device, alarm) => logger.info(`Alarm [${alarm.name}] cleared by device ${device.mac}.`));
+  gateway.on('connection:stale', connection =>
+  {
+    logger.warn(`Connection ${gateway.getConnectionId(connection)} stopped delivering advertisements.`);
+  });
+  gateway.on('connection:recovered', connection =>
+  {
+    logger.info(`Connection ${gateway.getConnectionId(connection)} recovered.`);
+  });
+  gateway.on('hci:error', (err, connection) =>
+  {
+    logger.debug(`Failed to decode the HCI data of connection ${gateway.getConnectionId(connection)}: ${err.message}`);
+  });
+  gateway.on('state:error', err => logger.error(`Failed to save the state: ${err.message}`));
+  gateway.on('enrolment:error', err => logger.error(`Failed to save the enrolled units: ${err.message}`));
+}
+
+/**
+ * @private
+ * @param {string} level
+ * @returns {Logger}
+ */
+function createLogger(level)
+{
+  const maxLevel = iNodeModbus.config.LOG_LEVELS.indexOf(level);
+  const logger = {};
+
+  iNodeModbus.config.LOG_LEVELS.forEach((levelName, i) =>
+  {
+    logger[levelName] = i > maxLevel ? function() {} : message =>
+    {
+      const line = `${new Date().toISOString()} ${levelName.toUpperCase()} ${message}`;
+
+      if (i <= 1)
+      {
+        console.error(line);
+      }
+      else
+      {
+        console.log(line);
+      }
+    };
+  });
+
+  return logger;
+}
+
+/**
+ * @typedef {Object} Logger
+ * @property {function(string)} error
+ * @property {function(string)} warn
+ * @property {function(string)} info
+ * @property {function(string)} debug
+ */
@@ -0,0 +1,249 @@
+// Part of <http://miracle.systems/p/h5.modbus.inode> licensed under <MIT>
+
+'use strict';
+
+const NAME_RE = /^[A-Za-z0-9_]+$/;
+
+class AlarmRule
+{
+  /**
+   * @param {AlarmRuleDefinition} definition
+   * @throws {Error} If the specified `definition` is invalid.
+   */
+  constructor(definition)
+  {
+    if (!definition || typeof definition.name !== 'string' || !NAME_RE.test(definition.name))
+    {
+      throw new Error(`Invalid alarm rule name: ${definition && definition.name}`);
+    }
+
+    const hasAbove = typeof definition.above === 'number';
+    const hasBelow = typeof definition.below === 'number';
+
+    if (definition.unavailable ? hasAbove || hasBelow : hasAbove === hasBelow || !definition.property)
+    {
+      throw new Error(
+        `Invalid alarm rule [${definition.name}]: expected either a property with exactly one of`
+        + ' the above or below thresholds, or the unavailable flag.'
+      );
+    }
+
+    if (definition.hysteresis < 0 || definition.delay < 0)
+    {
+      throw new Error(`Invalid alarm rule [${definition.name}]: the hysteresis and delay can't be negative.`);
+    }
+
+    /**
+     * @readonly
+     * @type {string}
+     */
+    this.name = definition.name;
+
+    /**
+     * @readonly
+     * @type {?string}
+     */
+    this.property = definition.unavailable ? null : definition.property;
+
+    /**
+     * @private
+     * @type {?Array<string>}
+     */
+    this.path = this.property === null ? null : this.property.split('.');
+
+    /**
+     * @private
+     * @type {?number}
+     */
+    this.above = hasAbove ? definition.above : null;
+
+    /**
+     * @private
+     * @type {?number}
+     */
+    this.below = hasBelow ? definition.below : null;
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.hysteresis = definition.hysteresis || 0;
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.delay = definition.delay || 0;
+
+    /**
+     * @type {boolean}
+     */
+    this.active = false;
+
+    /**
+     * @type {?number}
+     */
+    this.raisedAt = null;
+
+    /**
+     * @type {*}
+     */
+    this.value = null;
+
+    /**
+     * The time since which the raise condition holds.
+     *
+     * @private
+     * @type {?number}
+     */
+    this.pendingSince = null;
+  }
+
+  /**
+   * @returns {AlarmState}
+   */
+  toJSON()
+  {
+    return {
+      name: this.name,
+      property: this.property,
+      active: this.active,
+      raisedAt: this.raisedAt,
+      value: this.value
+    };
+  }
+
+  /**
+   * The alarm is raised after the raise condition holds for the `delay`. An active alarm is cleared once the value
+   * gets back past the threshold by the `hysteresis`. Undefined values don't change anything.
+   *
+   * @param {Object} values The received state values.
+   * @param {boolean} available Whether the device is available.
+   * @param {number} now
+   * @returns {?string} `raise` or `clear` if the alarm changed its state.
+   */
+  evaluate(values, available, now)
+  {
+    const value = this.path === null ? available : readProperty(values, this.path);
+    const condition = this.test(value);
+
+    if (condition === null)
+    {
+      return null;
+    }
+
+    this.value = value;
+
+    if (!this.active)
+    {
+      if (!condition)
+      {
+        this.pendingSince = null;
+
+        return null;
+      }
+
+      if (this.pendingSince === null)
+      {
+        this.pendingSince = now;
+      }
+
+      if (now - this.pendingSince < this.delay)
+      {
+        return null;
+      }
+
+      this.active = true;
+      this.raisedAt = now;
+
+      return 'raise';
+    }
+
+    if (condition)
+    {
+      return null;
+    }
+
+    this.active = false;
+    this.raisedAt = null;
+    this.pendingSince = null;
+
+    return 'clear';
+  }
+
+  /**
+   * @private
+   * @param {*} value
+   * @returns {?boolean} `true` if the alarm condition holds, `false` if it doesn't and `null` if the value is undefined
+   * or within the hysteresis band of an active alarm.
+   */
+  test(value)
+  {
+    if (this.path === null)
+    {
+      return !value;
+    }
+
+    if (typeof value === 'boolean')
+    {
+      value = value ? 1 : 0;
+    }
+
+    if (typeof value !== 'number' || isNaN(value))
+    {
+      return null;
+    }
+
+    const hysteresis = this.active ? this.hysteresis : 0;
+
+    if (this.above !== null)
+    {
+      if (value > this.above)
+      {
+        return true;
+      }
+
+      return value > this.above - hysteresis ? null : false;
+    }
+
+    if (value < this.below)
+    {
+      return true;
+    }
+
+    return value < this.below + hysteresis ? null : false;
+  }
+}
+
+module.exports = AlarmRule;
+
+/**
+ * @private
+ * @param {Object} values
+ * @param {Array<string>} path
+ * @returns {*}
+ */
+function readProperty(values, path)
+{
+  return path.reduce((value, key) => (value == null ? undefined : value[key]), values);
+}
+
+/**
+ * @typedef {Object} AlarmRuleDefinition
+ * @property {string} name A unique name of the rule (letters, digits and underscores).
+ * @property {string} [property] A state property (a dotted path, e.g. `temperature` or `energy.power`).
+ * @property {number} [above] Raise the alarm if the value is greater than this threshold.
+ * @property {number} [below] Raise the alarm if the value is less than this threshold.
+ * @property {boolean} [unavailable] Raise the alarm if the device is unavailable (instead of checking a property).
+ * @property {number} [hysteresis=0] How far back past the threshold the value must get to clear the alarm.
+ * @property {number} [delay=0] The number of milliseconds the condition must hold before the alarm is raised.
+ */
+
+/**
+ * @typedef {Object} AlarmState
+ * @property {string} name
+ * @property {?string} property
+ * @property {boolean} active
+ * @property {?number} raisedAt
+ * @property {*} value The last evaluated value.
+ */
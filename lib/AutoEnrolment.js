@@ -0,0 +1,371 @@
+// Part of <http://miracle.systems/p/h5.modbus.inode> licensed under <MIT>
+
+'use strict';
+
+const fs = require('fs');
+const EventEmitter = require('events').EventEmitter;
+const btHci = require('h5.bluetooth.hci');
+const iNodeHci = require('h5.bluetooth.hci.inode');
+const helpers = require('./helpers');
+
+const EirDataType = btHci.EirDataType;
+const DeviceModel = iNodeHci.DeviceModel;
+const DEFAULT_RESERVATION_TIME = 7 * 24 * 3600 * 1000;
+
+class AutoEnrolment extends EventEmitter
+{
+  /**
+   * @param {AutoEnrolmentOptions} options
+   * @throws {Error} If the specified unit range is invalid.
+   * @throws {Error} If the specified `models` contain an unknown model name.
+   * @throws {Error} If the specified `file` exists, but doesn't contain a valid JSON object.
+   */
+  constructor(options)
+  {
+    super();
+
+    const firstUnit = options.firstUnit != null ? options.firstUnit : 1;
+    const lastUnit = options.lastUnit != null ? options.lastUnit : 247;
+
+    if (firstUnit < 0 || lastUnit > 0xFF || firstUnit > lastUnit)
+    {
+      throw new Error(`Invalid auto enrolment unit range: ${firstUnit}-${lastUnit}`);
+    }
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.firstUnit = firstUnit;
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.lastUnit = lastUnit;
+
+    /**
+     * @private
+     * @type {?Array<DeviceModel>}
+     */
+    this.models = Array.isArray(options.models) ? options.models.map(prepareModel) : null;
+
+    /**
+     * @private
+     * @type {?Array<string>}
+     */
+    this.macPrefixes = Array.isArray(options.macPrefixes)
+      ? options.macPrefixes.map(prefix => prefix.toUpperCase().replace(/-/g, ':'))
+      : null;
+
+    /**
+     * @readonly
+     * @type {Object}
+     */
+    this.deviceOptions = options.deviceOptions || {};
+
+    /**
+     * @private
+     * @type {?string}
+     */
+    this.file = options.file || null;
+
+    /**
+     * @private
+     * @type {Map<string, number>}
+     */
+    this.assignments = this.load();
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.reservationTime = options.reservationTime != null ? options.reservationTime : DEFAULT_RESERVATION_TIME;
+
+    /**
+     * The times the assignments were loaded or last used at by the MAC addresses.
+     *
+     * @private
+     * @type {Map<string, number>}
+     */
+    this.reservedAt = new Map();
+
+    this.assignments.forEach((unit, mac) => this.reservedAt.set(mac, Date.now()));
+
+    /**
+     * @private
+     * @type {boolean}
+     */
+    this.saving = false;
+
+    /**
+     * @private
+     * @type {boolean}
+     */
+    this.dirty = false;
+
+    /**
+     * @private
+     * @type {boolean}
+     */
+    this.destroyed = false;
+  }
+
+  /**
+   * Stops saving the assignments. The result of a save that is still in progress is ignored.
+   */
+  destroy()
+  {
+    this.destroyed = true;
+    this.dirty = false;
+  }
+
+  /**
+   * @returns {Map<string, number>} Persisted MAC address to unit assignments.
+   */
+  getAssignments()
+  {
+    return new Map(this.assignments);
+  }
+
+  /**
+   * @param {AdvertisingReport} report
+   * @returns {boolean} Whether the report comes from an iNode device matching the model and MAC prefix filters.
+   */
+  matches(report)
+  {
+    const msd = report.data.find(d => d.type === EirDataType.ManufacturerSpecificData && typeof d.model === 'number');
+
+    if (!msd)
+    {
+      return false;
+    }
+
+    if (this.models && this.models.indexOf(msd.model) === -1)
+    {
+      return false;
+    }
+
+    if (this.macPrefixes && !this.macPrefixes.some(prefix => report.address.indexOf(prefix) === 0))
+    {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Assigns a unit to the specified MAC address. A previously persisted assignment is reused if its unit is free.
+   * If there are no other free units left, the free units of the assignments not used for the `reservationTime`
+   * are released.
+   *
+   * @param {string} mac
+   * @param {function(number): boolean} isUnitFree
+   * @returns {?number} The assigned unit or `null` if there are no free units left in the range.
+   */
+  assign(mac, isUnitFree)
+  {
+    const previousUnit = this.assignments.get(mac);
+
+    if (previousUnit !== undefined && isUnitFree(previousUnit))
+    {
+      this.reservedAt.set(mac, Date.now());
+
+      return previousUnit;
+    }
+
+    let unit = this.findFreeUnit(isUnitFree);
+    let released = false;
+
+    if (unit === null)
+    {
+      released = this.releaseExpired(mac, isUnitFree);
+      unit = released ? this.findFreeUnit(isUnitFree) : null;
+    }
+
+    if (unit !== null)
+    {
+      this.assignments.set(mac, unit);
+      this.reservedAt.set(mac, Date.now());
+    }
+
+    if (unit !== null || released)
+    {
+      this.save();
+    }
+
+    return unit;
+  }
+
+  /**
+   * @private
+   * @param {function(number): boolean} isUnitFree
+   * @returns {?number} The first free unit of the range that isn't assigned to any MAC address.
+   */
+  findFreeUnit(isUnitFree)
+  {
+    const assignedUnits = new Set(this.assignments.values());
+
+    for (let unit = this.firstUnit; unit <= this.lastUnit; ++unit)
+    {
+      if (!assignedUnits.has(unit) && isUnitFree(unit))
+      {
+        return unit;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * @private
+   * @param {string} mac The MAC address being assigned.
+   * @param {function(number): boolean} isUnitFree
+   * @returns {boolean} Whether any assignment was released.
+   */
+  releaseExpired(mac, isUnitFree)
+  {
+    const now = Date.now();
+    let released = false;
+
+    this.assignments.forEach((unit, otherMac) =>
+    {
+      if (otherMac !== mac && now - this.reservedAt.get(otherMac) >= this.reservationTime && isUnitFree(unit))
+      {
+        this.assignments.delete(otherMac);
+        this.reservedAt.delete(otherMac);
+
+        released = true;
+      }
+    });
+
+    return released;
+  }
+
+  /**
+   * @private
+   * @returns {Map<string, number>}
+   */
+  load()
+  {
+    const assignments = new Map();
+
+    if (!this.file)
+    {
+      return assignments;
+    }
+
+    let json;
+
+    try
+    {
+      json = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    }
+    catch (err)
+    {
+      if (err.code === 'ENOENT')
+      {
+        return assignments;
+      }
+
+      throw new Error(`Failed to read the auto enrolment file [${this.file}]: ${err.message}`);
+    }
+
+    if (json === null || typeof json !== 'object' || Array.isArray(json))
+    {
+      throw new Error(`Invalid auto enrolment file [${this.file}]: expected an object of MAC addresses to units.`);
+    }
+
+    Object.keys(json).forEach(mac => assignments.set(helpers.prepareMacAddress(mac), json[mac]));
+
+    return assignments;
+  }
+
+  /**
+   * @private
+   */
+  save()
+  {
+    if (!this.file || this.destroyed)
+    {
+      return;
+    }
+
+    if (this.saving)
+    {
+      this.dirty = true;
+
+      return;
+    }
+
+    const json = {};
+
+    this.assignments.forEach((unit, mac) => { json[mac] = unit; });
+
+    this.saving = true;
+    this.dirty = false;
+
+    helpers.writeFileAtomically(this.file, JSON.stringify(json, null, 2), this.onSaved.bind(this));
+  }
+
+  /**
+   * @private
+   * @param {?Error} err
+   */
+  onSaved(err)
+  {
+    this.saving = false;
+
+    if (this.destroyed)
+    {
+      return;
+    }
+
+    if (err)
+    {
+      this.emit('error', err);
+    }
+
+    if (this.dirty)
+    {
+      this.save();
+    }
+  }
+}
+
+module.exports = AutoEnrolment;
+
+/**
+ * @private
+ * @param {(string|DeviceModel)} model
+ * @returns {DeviceModel}
+ * @throws {Error} If the specified `model` is an unknown model name.
+ */
+function prepareModel(model)
+{
+  if (typeof model === 'number')
+  {
+    return model;
+  }
+
+  if (typeof DeviceModel[model] === 'undefined')
+  {
+    throw new Error(`Unknown device model: ${model}`);
+  }
+
+  return DeviceModel[model];
+}
+
+/**
+ * @typedef {Object} AutoEnrolmentOptions
+ * @property {number} [firstUnit=1] The first unit of the range assigned to the discovered devices.
+ * @property {number} [lastUnit=247] The last unit of the range assigned to the discovered devices.
+ * @property {Array<(string|DeviceModel)>} [models] Enrol only devices of the specified models
+ * (`DeviceModel` values or names).
+ * @property {Array<string>} [macPrefixes] Enrol only devices with MAC addresses starting with one of the specified
+ * prefixes, e.g. `00:12:6F`.
+ * @property {string} [file] A path to a JSON file the MAC address to unit assignments are persisted to.
+ * @property {number} [reservationTime=604800000] The number of milliseconds after the gateway start or the last
+ * assignment after which a unit persisted for a MAC address that doesn't report can be assigned to other device.
+ * @property {Object} [deviceOptions] Options passed to the constructor of each discovered `Device`.
+ */
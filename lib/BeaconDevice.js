@@ -0,0 +1,96 @@
+// Part of <http://miracle.systems/p/h5.modbus.inode> licensed under <MIT>
+
+'use strict';
+
+const modbus = require('h5.modbus');
+const btHci = require('h5.bluetooth.hci');
+const Device = require('./Device');
+const registerMaps = require('./registerMaps');
+const beacons = require('./beacons');
+
+const EirDataType = btHci.EirDataType;
+const BeaconModel = beacons.BeaconModel;
+
+/**
+ * A device decoding the payloads of the non-iNode BLE beacons: iBeacon, Eddystone-UID/TLM and RuuviTag RAWv2.
+ * Exposed the same way as the iNode devices, but with the register map of the detected beacon model.
+ * The beacons don't accept any commands, so all the write requests are rejected.
+ */
+class BeaconDevice extends Device
+{
+  /**
+   * @param {Request} request
+   * @param {respondCallback} respond
+   */
+  handleModbusRequest(request, respond)
+  {
+    switch (request.functionCode)
+    {
+      case modbus.FunctionCode.WriteSingleCoil:
+      case modbus.FunctionCode.WriteSingleRegister:
+        respond(modbus.ExceptionCode.IllegalFunctionCode);
+        break;
+
+      default:
+        super.handleModbusRequest(request, respond);
+        break;
+    }
+  }
+
+  /**
+   * @protected
+   * @param {EirDataStructure} eirDataStructure
+   */
+  handleEirDataStructure(eirDataStructure)
+  {
+    switch (eirDataStructure.type)
+    {
+      case EirDataType.ManufacturerSpecificData:
+      case EirDataType.ServiceData16:
+        this.handleBeaconData(eirDataStructure);
+        break;
+
+      default:
+        super.handleEirDataStructure(eirDataStructure);
+        break;
+    }
+  }
+
+  /**
+   * Other manufacturer specific and service data (e.g. the Eddystone-URL frames or the other RuuviTag formats)
+   * are ignored, so that they don't reset the detected model.
+   *
+   * @private
+   * @param {EirDataStructure} eirDataStructure
+   */
+  handleBeaconData(eirDataStructure)
+  {
+    const beaconData = beacons.decode(eirDataStructure);
+
+    if (!beaconData)
+    {
+      return;
+    }
+
+    this.changeModel(beaconData.model);
+
+    Object.keys(beaconData.values).forEach(property => this.changeState(property, beaconData.values[property]));
+  }
+}
+
+Device.registerModel(BeaconModel.IBeacon, {
+  name: 'iBeacon',
+  registerMap: registerMaps.beacons.IBeacon
+});
+
+Device.registerModel(BeaconModel.Eddystone, {
+  name: 'Eddystone',
+  registerMap: registerMaps.beacons.Eddystone
+});
+
+Device.registerModel(BeaconModel.RuuviTag, {
+  name: 'RuuviTag',
+  registerMap: registerMaps.beacons.RuuviTag
+});
+
+module.exports = BeaconDevice;
@@ -0,0 +1,152 @@
+// Part of <http://miracle.systems/p/h5.modbus.inode> licensed under <MIT>
+
+'use strict';
+
+const PERCENT_RE = /^([0-9]+(?:\.[0-9]+)?)%$/;
+
+/**
+ * Suppresses the changes of the state properties that are smaller than their deadbands.
+ */
+class ChangeFilter
+{
+  /**
+   * @param {Object<string, (number|string)>} [deadbands] Absolute deadbands (e.g. `3`) or deadbands relative
+   * to the last emitted value (e.g. `'5%'`) by the state property names. Properties of the object values
+   * can be specified with a dot, e.g. `position.x`.
+   * @throws {Error} If any of the specified `deadbands` is not a non-negative number or a percentage.
+   */
+  constructor(deadbands)
+  {
+    /**
+     * @private
+     * @type {Map<string, Deadband>}
+     */
+    this.deadbands = new Map();
+
+    /**
+     * The last emitted values.
+     *
+     * @private
+     * @type {Object}
+     */
+    this.emitted = {};
+
+    Object.keys(deadbands || {}).forEach(property =>
+    {
+      this.deadbands.set(property, parseDeadband(property, deadbands[property]));
+    });
+  }
+
+  /**
+   * @param {Object} changes
+   * @returns {Object} The changes that differ from the last emitted values by more than their deadbands.
+   */
+  filter(changes)
+  {
+    const filtered = {};
+
+    Object.keys(changes).forEach(property =>
+    {
+      if (this.isChanged(property, changes[property], this.emitted[property]))
+      {
+        filtered[property] = changes[property];
+      }
+    });
+
+    return filtered;
+  }
+
+  /**
+   * @param {Object} values The emitted values.
+   */
+  commit(values)
+  {
+    Object.assign(this.emitted, values);
+  }
+
+  /**
+   * @private
+   * @param {string} property
+   * @param {*} newValue
+   * @param {*} oldValue
+   * @returns {boolean}
+   */
+  isChanged(property, newValue, oldValue)
+  {
+    if (typeof newValue === 'undefined')
+    {
+      return false;
+    }
+
+    if (newValue instanceof Date)
+    {
+      return !(oldValue instanceof Date) || newValue.getTime() !== oldValue.getTime();
+    }
+
+    if (newValue !== null && typeof newValue === 'object')
+    {
+      if (oldValue === null || typeof oldValue !== 'object')
+      {
+        return true;
+      }
+
+      return Object.keys(newValue).some(key => this.isChanged(
+        this.deadbands.has(`${property}.${key}`) ? `${property}.${key}` : property,
+        newValue[key],
+        oldValue[key]
+      ));
+    }
+
+    if (newValue === oldValue)
+    {
+      return false;
+    }
+
+    const deadband = this.deadbands.get(property);
+
+    if (!deadband || typeof newValue !== 'number' || typeof oldValue !== 'number')
+    {
+      return true;
+    }
+
+    const threshold = deadband.percent ? Math.abs(oldValue) * deadband.value / 100 : deadband.value;
+
+    return Math.abs(newValue - oldValue) >= threshold;
+  }
+}
+
+module.exports = ChangeFilter;
+
+/**
+ * @private
+ * @param {string} property
+ * @param {(number|string)} deadband
+ * @returns {Deadband}
+ * @throws {Error} If the specified `deadband` is invalid.
+ */
+function parseDeadband(property, deadband)
+{
+  if (typeof deadband === 'number' && deadband >= 0)
+  {
+    return {value: deadband, percent: false};
+  }
+
+  const matches = typeof deadband === 'string' ? deadband.match(PERCENT_RE) : null;
+
+  if (matches)
+  {
+    return {value: parseFloat(matches[1]), percent: true};
+  }
+
+  throw new Error(
+    `Invalid deadband of property [${property}]: expected a non-negative number or a percentage, `
+    + `but got: ${JSON.stringify(deadband)}.`
+  );
+}
+
+/**
+ * @private
+ * @typedef {Object} Deadband
+ * @property {number} value
+ * @property {boolean} percent Whether the `value` is a percentage of the last emitted value.
+ */
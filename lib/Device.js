@@ -7,40 +7,126 @@ const modbus = require('h5.modbus');
 const btHci = require('h5.bluetooth.hci');
 const iNodeHci = require('h5.bluetooth.hci.inode');
 const helpers = require('./helpers');
+const commands = require('./commands');
+const RegisterMap = require('./RegisterMap');
+const registerMaps = require('./registerMaps');
+const History = require('./History');
+const EnergyCounter = require('./EnergyCounter');
+const AlarmRule = require('./AlarmRule');
+const ReceiverTracker = require('./ReceiverTracker');
+const ChangeFilter = require('./ChangeFilter');
 
 const EirDataType = btHci.EirDataType;
 const DeviceModel = iNodeHci.DeviceModel;
-
-const MSD_FIRST_REGISTER_INDEX = 32;
-const MSD_PROPERTIES = {
-  CareRelay: [
-    'output'
-  ],
-  EnergyMeter: [
-    'unit',
-    'constant',
-    'sum',
-    'average',
-    'lightLevel',
-    'weekDay',
-    'weekDayTotal',
-    'batteryLevel',
-    'batteryVoltage'
-  ],
-  CareSensor: [
-    'input',
-    'output',
-    'position',
-    'temperature',
-    'humidity',
-    'pressure',
-    'batteryLevel',
-    'batteryVoltage',
-    'groups',
-    'time'
-  ]
+const CommandType = commands.CommandType;
+
+const MEI_READ_DEVICE_IDENTIFICATION = 0x0E;
+const DEVICE_ID_CONFORMITY_LEVEL = 0x83;
+const DeviceIdCode = {
+  Basic: 0x01,
+  Regular: 0x02,
+  Extended: 0x03,
+  Individual: 0x04
+};
+const DeviceIdObject = {
+  VendorName: 0x00,
+  ProductCode: 0x01,
+  MajorMinorRevision: 0x02,
+  VendorUrl: 0x03,
+  ProductName: 0x04,
+  ModelName: 0x05,
+  UserApplicationName: 0x06,
+  MacAddress: 0x80
 };
 
+/**
+ * The built-in models by the `DeviceModel` names. Registered with `Device.registerModel()` after the class
+ * is defined.
+ *
+ * @private
+ * @type {Array<{
+ *   models: Array<string>,
+ *   properties: Array<string>,
+ *   decode: ?function(Object, Device): ?Object,
+ *   encode: function(ModelWrite, Device): (DeviceCommand|null|undefined),
+ *   confirm: function(DeviceCommand, Device): boolean
+ * }>}
+ */
+const BUILT_IN_MODELS = [
+  {
+    models: ['CareRelay'],
+    properties: [
+      'output'
+    ],
+    decode: null,
+    encode: encodeWrite,
+    confirm: isCommandConfirmed
+  },
+  {
+    models: ['EnergyMeter'],
+    properties: [
+      'unit',
+      'constant',
+      'sum',
+      'average',
+      'lightLevel',
+      'weekDay',
+      'weekDayTotal',
+      'batteryLevel',
+      'batteryVoltage'
+    ],
+    decode: decodeEnergyMeterMsd,
+    encode: encodeWrite,
+    confirm: isCommandConfirmed
+  },
+  {
+    models: [
+      'CareSensor1',
+      'CareSensor2',
+      'CareSensor3',
+      'CareSensor4',
+      'CareSensor5',
+      'CareSensor6',
+      'CareSensorT',
+      'CareSensorHT',
+      'CareSensorPT',
+      'CareSensorPHT'
+    ],
+    properties: [
+      'input',
+      'output',
+      'position',
+      'temperature',
+      'humidity',
+      'pressure',
+      'batteryLevel',
+      'batteryVoltage',
+      'groups',
+      'time',
+      'magneticField',
+      'magneticFieldDirection'
+    ],
+    decode: null,
+    encode: encodeWrite,
+    confirm: isCommandConfirmed
+  }
+];
+
+/**
+ * @private
+ * @type {Map<DeviceModel, ModelDefinition>}
+ */
+const MODELS = new Map();
+
+const COMMON_REGISTER_MAP = new RegisterMap(registerMaps.common);
+
+const RAW_REGISTER_MAP = new RegisterMap(registerMaps.raw);
+
+const HISTORY_REGISTER_TYPES = ['uint16', 'int16', 'uint32', 'int32', 'float32'];
+const HISTORY_STATS = ['min', 'max', 'mean'];
+
+const ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
 class Device extends EventEmitter
 {
   /**
@@ -48,9 +134,38 @@ class Device extends EventEmitter
    * @param {number} unit
    * @param {Object} [options]
    * @param {number} [options.deviceTimeout=20000]
+   * @param {number} [options.commandTimeout=10000]
+   * @param {(RegisterMap|RegisterMapDefinition)} [options.registerMap] A register map used instead of the default
+   * register map of the device model.
+   * @param {string} [options.encoding] Overrides the `encoding` of the register map (`int16`, `int32` or `float32`).
+   * @param {number} [options.encodedAddress] Overrides the `encodedAddress` of the register map.
+   * @param {string} [options.byteOrder] Overrides the `byteOrder` of the register map (`ABCD`, `CDAB`, `BADC`
+   * or `DCBA`).
+   * @param {(string|Object<string, number>)} [options.sentinels] Overrides the `sentinels` strategy
+   * of the register map (`register` or `type`).
+   * @param {(boolean|HistoryOptions)} [options.history] Enables the history of state properties and the min/max/mean
+   * registers appended to the register map.
+   * @param {number} [options.powerWindow=60000] The number of milliseconds the power of an Energy Meter
+   * is averaged over.
+   * @param {Array<AlarmRuleDefinition>} [options.alarmRules] Up to 16 alarm rules evaluated by the gateway.
+   * @param {number} [options.rssiSmoothing=0.3] The weight of the new RSSI in the exponential moving average
+   * of the RSSI of each receiver (0-1].
+   * @param {number} [options.receiverHysteresis=3] How many dB stronger another receiver must be to become
+   * the best one.
+   * @param {number} [options.receiverRegisters=0] The number of receivers with the smoothed RSSI registers
+   * appended to the register map (the receiver registers are appended only if greater than 0).
+   * @param {Object<string, (number|string)>} [options.deadbands] The minimum absolute (e.g. `3`) or relative
+   * (e.g. `'5%'`) changes of the numeric state properties since their last emitted values that emit
+   * the `change` event.
+   * @param {number} [options.minChangeInterval=0] The minimum number of milliseconds between the `change` events.
+   * The changes in between are merged and emitted after the interval.
+   * @param {number} [options.heartbeatInterval=0] The number of milliseconds after which the whole state
+   * of an available device is emitted as the `change` event (0 disables the heartbeat).
    * @throws {Error} If the specified `mac` is not a valid MAC address, i.e. a string of six groups of two hexadecimal
    * digits optionally separated by colons (`:`) or hyphens (`-`).
    * @throws {Error} If the specified `unit` is not a valid MODBUS device unit, i.e. an integer between 0 and 255.
+   * @throws {Error} If the specified `registerMap`, `encoding`, `encodedAddress`, `byteOrder`, `sentinels`, `history`,
+   * `alarmRules` or `deadbands` is invalid.
    */
   constructor(mac, unit, options)
   {
@@ -82,12 +197,110 @@ class Device extends EventEmitter
      */
     this.deviceTimeout = options.deviceTimeout || 20000;
 
+    /**
+     * @private
+     * @type {number}
+     */
+    this.commandTimeout = options.commandTimeout || 10000;
+
+    /**
+     * @private
+     * @type {?RegisterMap}
+     */
+    this.customRegisterMap = options.registerMap ? RegisterMap.from(options.registerMap) : null;
+
+    /**
+     * @private
+     * @type {RegisterMapOptions}
+     */
+    this.registerMapOptions = {
+      encoding: options.encoding,
+      encodedAddress: options.encodedAddress,
+      byteOrder: options.byteOrder,
+      sentinels: options.sentinels
+    };
+
+    /**
+     * @private
+     * @type {?History}
+     */
+    this.history = options.history ? new History(options.history === true ? {} : options.history) : null;
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.powerWindow = options.powerWindow || 60000;
+
+    /**
+     * Derives the power and the consumption buckets from the total value of an Energy Meter.
+     * Created on the first Energy Meter report.
+     *
+     * @private
+     * @type {?EnergyCounter}
+     */
+    this.energyCounter = null;
+
+    /**
+     * @private
+     * @type {Array<AlarmRule>}
+     */
+    this.alarmRules = createAlarmRules(options.alarmRules || []);
+
+    /**
+     * @private
+     * @type {ReceiverTracker}
+     */
+    this.receiverTracker = new ReceiverTracker({
+      timeout: this.deviceTimeout,
+      smoothing: options.rssiSmoothing,
+      hysteresis: options.receiverHysteresis
+    });
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.receiverRegisters = Math.max(0, Math.min(options.receiverRegisters || 0, 64));
+
+    /**
+     * @private
+     * @type {ChangeFilter}
+     */
+    this.changeFilter = new ChangeFilter(options.deadbands);
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.minChangeInterval = options.minChangeInterval || 0;
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.heartbeatInterval = options.heartbeatInterval || 0;
+
+    /**
+     * @private
+     * @type {RegisterMap}
+     */
+    this.registerMap = this.createRegisterMap(this.customRegisterMap || COMMON_REGISTER_MAP);
+
     /**
      * @private
      * @type {number}
      */
     this.lastSeenAt = 0;
 
+    /**
+     * Whether the state was restored from a snapshot and no advertising report was received since.
+     *
+     * @private
+     * @type {boolean}
+     */
+    this.stale = false;
+
     /**
      * @private
      * @type {?Buffer}
@@ -106,12 +319,58 @@ class Device extends EventEmitter
      */
     this.state = {};
 
+    /**
+     * The state properties that were received from the device.
+     *
+     * @private
+     * @type {Object<string, boolean>}
+     */
+    this.received = {};
+
+    /**
+     * @private
+     * @type {boolean}
+     */
+    this.receivedChanged = false;
+
     /**
      * @private
      * @type {Object}
      */
     this.changes = {};
 
+    /**
+     * The changes waiting for the `minChangeInterval` to pass.
+     *
+     * @private
+     * @type {Object}
+     */
+    this.pendingChanges = {};
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.lastChangeAt = 0;
+
+    /**
+     * @private
+     * @type {*}
+     */
+    this.changeTimer = null;
+
+    /**
+     * @private
+     * @type {*}
+     */
+    this.heartbeatTimer = null;
+
+    /**
+     * @private
+     * @type {Set<PendingCommand>}
+     */
+    this.pendingCommands = new Set();
+
     /**
      * @private
      * @type {function(this:Device, EirDataStructure)}
@@ -119,9 +378,116 @@ class Device extends EventEmitter
     this.handleEirDataStructure = this.handleEirDataStructure.bind(this);
   }
 
+  /**
+   * Registers (or replaces) the handling of the manufacturer specific data of the specified device model.
+   * The built-in models are registered the same way.
+   *
+   * @param {(DeviceModel|number)} model
+   * @param {ModelOptions} options
+   * @throws {Error} If the specified `model` is not a number.
+   * @throws {Error} If the specified `properties`, `decode`, `encode`, `confirm` or `registerMap` is invalid.
+   */
+  static registerModel(model, options)
+  {
+    if (typeof model !== 'number')
+    {
+      throw new Error(`Invalid device model: ${model}. Expected a number.`);
+    }
+
+    if (!options)
+    {
+      options = {};
+    }
+
+    if (options.properties != null && !Array.isArray(options.properties))
+    {
+      throw new Error(`Invalid properties of device model [${model}]: expected an array of MSD property names.`);
+    }
+
+    if (options.decode != null && typeof options.decode !== 'function')
+    {
+      throw new Error(`Invalid decoder of device model [${model}]: expected a function.`);
+    }
+
+    if (options.encode != null && typeof options.encode !== 'function')
+    {
+      throw new Error(`Invalid encoder of device model [${model}]: expected a function.`);
+    }
+
+    if (options.confirm != null && typeof options.confirm !== 'function')
+    {
+      throw new Error(`Invalid command confirmation of device model [${model}]: expected a function.`);
+    }
+
+    MODELS.set(model, {
+      name: options.name || getModelName(model),
+      properties: options.properties ? options.properties.slice() : [],
+      decode: options.decode || null,
+      encode: options.encode || null,
+      confirm: options.confirm || null,
+      registerMap: options.registerMap ? RegisterMap.from(options.registerMap) : null
+    });
+  }
+
+  /**
+   * @param {(DeviceModel|number)} model
+   * @returns {boolean} Whether the specified model was registered with `registerModel()`.
+   */
+  static isModelRegistered(model)
+  {
+    return MODELS.has(model);
+  }
+
+  /**
+   * Sets the default register map of the specified device model.
+   *
+   * @param {DeviceModel} model
+   * @param {(RegisterMap|RegisterMapDefinition)} registerMap
+   * @throws {Error} If the specified `registerMap` is invalid.
+   */
+  static registerRegisterMap(model, registerMap)
+  {
+    const definition = MODELS.get(model);
+
+    if (definition)
+    {
+      definition.registerMap = RegisterMap.from(registerMap);
+    }
+    else
+    {
+      Device.registerModel(model, {registerMap: registerMap});
+    }
+  }
+
+  /**
+   * @param {?DeviceModel} model
+   * @returns {RegisterMap} The register map of the specified model, the raw data register map if the model
+   * doesn't have a model specific register map or the common register map if the model is not known yet.
+   */
+  static getRegisterMap(model)
+  {
+    const definition = MODELS.get(model);
+
+    if (definition && definition.registerMap)
+    {
+      return definition.registerMap;
+    }
+
+    return model == null ? COMMON_REGISTER_MAP : RAW_REGISTER_MAP;
+  }
+
   destroy()
   {
     this.removeAllListeners();
+
+    this.pendingCommands.forEach(pendingCommand => clearTimeout(pendingCommand.timer));
+    this.pendingCommands.clear();
+
+    clearTimeout(this.changeTimer);
+    this.changeTimer = null;
+
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
   }
 
   /**
@@ -134,11 +500,224 @@ class Device extends EventEmitter
       unit: this.unit,
       lastSeenAt: this.lastSeenAt,
       available: this.isAvailable(),
+      stale: this.stale,
       model: this.model,
-      state: this.state
+      state: this.state,
+      energy: this.energyCounter ? this.energyCounter.toJSON() : null,
+      gatewayAlarms: this.getGatewayAlarms(),
+      bestReceiver: this.getBestReceiver(),
+      receivers: this.receiverTracker.toJSON(Date.now())
     };
   }
 
+  /**
+   * Restores the model and the state from a snapshot created by `toJSON()`. The restored values are served until
+   * the first advertising report is received, but are marked as not received in the validity registers.
+   * The device is considered available for the `deviceTimeout` after restoring.
+   *
+   * @param {Object} snapshot
+   * @param {?DeviceModel} snapshot.model
+   * @param {Object} snapshot.state
+   * @param {number} [snapshot.lastSeenAt]
+   * @param {?EnergyState} [snapshot.energy]
+   */
+  restore(snapshot)
+  {
+    if (!snapshot || snapshot.model == null || !snapshot.state)
+    {
+      return;
+    }
+
+    const state = {};
+
+    Object.keys(snapshot.state).forEach(k =>
+    {
+      const value = snapshot.state[k];
+
+      state[k] = typeof value === 'string' && ISO_DATE_RE.test(value) ? new Date(value) : value;
+    });
+
+    this.model = snapshot.model;
+    this.state = state;
+    this.received = {};
+    this.lastSeenAt = snapshot.lastSeenAt || 0;
+    this.stale = true;
+
+    if (snapshot.energy)
+    {
+      this.energyCounter = new EnergyCounter(this.powerWindow);
+      this.energyCounter.restore(snapshot.energy);
+    }
+
+    this.resetBuffer();
+    this.registerMap.write(this.buffer, this.getRegisterValues(), null);
+  }
+
+  /**
+   * Takes over the model, the state, the Energy Meter counters, the history, the receivers and the commands
+   * awaiting confirmation of the specified device, e.g. the same device created with a different unit or options.
+   * Unlike `restore()`, the values keep their received flags.
+   *
+   * @param {Device} device
+   */
+  inherit(device)
+  {
+    this.model = device.model;
+    this.state = device.state;
+    this.received = device.received;
+    this.lastSeenAt = device.lastSeenAt;
+    this.stale = device.stale;
+
+    this.receiverTracker.inherit(device.receiverTracker);
+
+    device.pendingCommands.forEach(pendingCommand =>
+    {
+      clearTimeout(pendingCommand.timer);
+
+      this.addPendingCommand(pendingCommand);
+    });
+    device.pendingCommands.clear();
+
+    if (device.energyCounter)
+    {
+      this.energyCounter = new EnergyCounter(this.powerWindow);
+      this.energyCounter.restore(device.energyCounter.toJSON());
+    }
+
+    if (this.history && device.history)
+    {
+      this.history.properties.forEach(property =>
+      {
+        device.history.query(property).forEach(sample => this.history.add(property, sample.value, sample.time));
+      });
+    }
+
+    if (this.model !== null)
+    {
+      this.resetBuffer();
+      this.registerMap.write(this.buffer, this.getRegisterValues(), null);
+    }
+  }
+
+  /**
+   * @param {string} property
+   * @param {number} [since=0]
+   * @param {number} [until=Infinity]
+   * @returns {Array<HistorySample>} Samples of the specified property or an empty array if the history is disabled
+   * or the property isn't tracked.
+   */
+  getHistory(property, since, until)
+  {
+    return this.history ? this.history.query(property, since, until) : [];
+  }
+
+  /**
+   * @param {string} property
+   * @param {number} window The number of milliseconds before now.
+   * @returns {?HistoryStats} Stats of the specified property or `null` if the history is disabled.
+   */
+  getHistoryStats(property, window)
+  {
+    return this.history ? this.history.aggregate(property, window) : null;
+  }
+
+  /**
+   * @returns {EnergyCounter} The counter deriving the power and the consumption buckets from the total value
+   * of an Energy Meter. Created on the first call.
+   */
+  getEnergyCounter()
+  {
+    if (!this.energyCounter)
+    {
+      this.energyCounter = new EnergyCounter(this.powerWindow);
+    }
+
+    return this.energyCounter;
+  }
+
+  /**
+   * @returns {?number} An ID of the receiver (the `Gateway` connection) with the strongest smoothed RSSI
+   * or `null` if no receiver heard the device within the `deviceTimeout`.
+   */
+  getBestReceiver()
+  {
+    return this.receiverTracker.getBestReceiverId();
+  }
+
+  /**
+   * Re-selects the best receiver if the current one didn't hear the device within the `deviceTimeout`.
+   * Called periodically by the `Gateway`, as the reports of the other receivers may never come.
+   *
+   * @fires Device#receiver
+   */
+  checkReceivers()
+  {
+    const previousReceiverId = this.receiverTracker.getBestReceiverId();
+
+    if (this.receiverTracker.check(Date.now()))
+    {
+      this.emit('receiver', this.receiverTracker.getBestReceiverId(), previousReceiverId);
+    }
+  }
+
+  /**
+   * @returns {Array<AlarmState>} States of the alarm rules.
+   */
+  getGatewayAlarms()
+  {
+    return this.alarmRules.map(rule => rule.toJSON());
+  }
+
+  /**
+   * Evaluates the alarm rules against the received state values and the availability of the device.
+   * Called after each advertising report and periodically by the `Gateway`, so that the delayed
+   * and the availability alarms are raised even if no reports are received.
+   *
+   * @fires Device#alarm:raise
+   * @fires Device#alarm:clear
+   */
+  checkAlarms()
+  {
+    if (!this.alarmRules.length)
+    {
+      return;
+    }
+
+    const now = Date.now();
+    const available = this.isAvailable();
+    const values = {};
+    let changed = false;
+
+    Object.keys(this.received).forEach(k => { values[k] = this.state[k]; });
+
+    this.alarmRules.forEach(rule =>
+    {
+      const transition = rule.evaluate(values, available, now);
+
+      if (transition)
+      {
+        changed = true;
+
+        this.emit(`alarm:${transition}`, rule.toJSON());
+      }
+    });
+
+    if (changed && this.buffer !== null)
+    {
+      this.registerMap.write(this.buffer, this.getRegisterValues(), {gatewayAlarms: true});
+    }
+  }
+
+  /**
+   * @returns {string} A name of the `DeviceModel` of the device or `Unknown`.
+   */
+  getModelName()
+  {
+    const definition = MODELS.get(this.model);
+
+    return definition ? definition.name : getModelName(this.model);
+  }
+
   /**
    * @returns {boolean}
    */
@@ -149,83 +728,568 @@ class Device extends EventEmitter
       return false;
     }
 
-    if (Date.now() - this.lastSeenAt > this.deviceTimeout)
+    if (Date.now() - this.lastSeenAt > this.deviceTimeout)
+    {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * @param {Request} request
+   * @param {respondCallback} respond
+   */
+  handleModbusRequest(request, respond)
+  {
+    switch (request.functionCode)
+    {
+      case modbus.FunctionCode.ReadHoldingRegisters:
+      case modbus.FunctionCode.ReadInputRegisters:
+        this.handleReadRegistersRequest(request, respond);
+        break;
+
+      case modbus.FunctionCode.ReadCoils:
+      case modbus.FunctionCode.ReadDiscreteInputs:
+        this.handleReadBitsRequest(request, respond);
+        break;
+
+      case modbus.FunctionCode.WriteSingleCoil:
+        this.handleWriteSingleCoilRequest(request, respond);
+        break;
+
+      case modbus.FunctionCode.WriteSingleRegister:
+        this.handleWriteSingleRegisterRequest(request, respond);
+        break;
+
+      case modbus.FunctionCode.EncapsulatedInterfaceTransport:
+        this.handleEncapsulatedInterfaceTransportRequest(request, respond);
+        break;
+
+      default:
+        respond(modbus.ExceptionCode.IllegalFunctionCode);
+        break;
+    }
+  }
+
+  /**
+   * @param {AdvertisingReport} report
+   * @param {number} [receiverId=0] An ID of the receiver (the `Gateway` connection) the report was received through.
+   * @fires Device#receiver
+   * @fires Device#change
+   */
+  handleAdvertisingReport(report, receiverId)
+  {
+    const now = Date.now();
+
+    this.lastSeenAt = now;
+    this.stale = false;
+
+    if (typeof report.rssi === 'number')
+    {
+      this.handleReceiverRssi(receiverId || 0, report.rssi, now);
+    }
+
+    report.data.forEach(this.handleEirDataStructure);
+
+    const changedKeys = Object.keys(this.changes);
+
+    if (changedKeys.length)
+    {
+      this.queueChanges(Object.assign({}, this.changes), now);
+    }
+
+    changedKeys.forEach(k =>
+    {
+      this.state[k] = this.changes[k];
+      this.changes[k] = true;
+    });
+
+    if (changedKeys.length || this.receivedChanged)
+    {
+      this.updateBuffer();
+
+      this.changes = {};
+      this.receivedChanged = false;
+    }
+
+    this.confirmPendingCommands();
+    this.checkAlarms();
+    this.startHeartbeat();
+  }
+
+  /**
+   * Emits the specified changes immediately or after the `minChangeInterval` since the last `change` event.
+   *
+   * @private
+   * @param {Object} changes
+   * @param {number} now
+   */
+  queueChanges(changes, now)
+  {
+    Object.assign(this.pendingChanges, changes);
+
+    if (this.changeTimer !== null)
+    {
+      return;
+    }
+
+    const delay = this.lastChangeAt + this.minChangeInterval - now;
+
+    if (delay > 0)
+    {
+      this.changeTimer = setTimeout(this.emitPendingChanges.bind(this), delay);
+      this.changeTimer.unref();
+    }
+    else
+    {
+      this.emitPendingChanges();
+    }
+  }
+
+  /**
+   * Emits the pending changes that pass the deadbands.
+   *
+   * @private
+   * @fires Device#change
+   */
+  emitPendingChanges()
+  {
+    clearTimeout(this.changeTimer);
+    this.changeTimer = null;
+
+    const changes = this.changeFilter.filter(this.pendingChanges);
+
+    this.pendingChanges = {};
+
+    if (!Object.keys(changes).length)
+    {
+      return;
+    }
+
+    this.lastChangeAt = Date.now();
+    this.changeFilter.commit(changes);
+
+    this.emit('change', changes);
+  }
+
+  /**
+   * @private
+   */
+  startHeartbeat()
+  {
+    if (this.heartbeatInterval > 0 && this.heartbeatTimer === null)
+    {
+      this.heartbeatTimer = setInterval(this.emitHeartbeat.bind(this), this.heartbeatInterval);
+      this.heartbeatTimer.unref();
+    }
+  }
+
+  /**
+   * Emits the whole state, including the pending changes, regardless of the deadbands.
+   *
+   * @private
+   * @fires Device#change
+   */
+  emitHeartbeat()
+  {
+    if (!this.isAvailable())
+    {
+      return;
+    }
+
+    clearTimeout(this.changeTimer);
+    this.changeTimer = null;
+    this.pendingChanges = {};
+
+    const state = Object.assign({}, this.state);
+
+    this.lastChangeAt = Date.now();
+    this.changeFilter.commit(state);
+
+    this.emit('change', state);
+  }
+
+  /**
+   * Tracks the RSSI of each receiver. Only the RSSI reported by the best receiver changes the `rssi` state,
+   * so that it doesn't flip between the receivers.
+   *
+   * @private
+   * @param {number} receiverId
+   * @param {number} rssi
+   * @param {number} now
+   */
+  handleReceiverRssi(receiverId, rssi, now)
+  {
+    const previousReceiverId = this.receiverTracker.getBestReceiverId();
+
+    if (this.receiverTracker.update(receiverId, rssi, now))
+    {
+      this.emit('receiver', this.receiverTracker.getBestReceiverId(), previousReceiverId);
+    }
+
+    if (this.receiverTracker.getBestReceiverId() === receiverId)
+    {
+      this.changeState('rssi', rssi);
+    }
+  }
+
+  /**
+   * Updates the Energy Meter consumption buckets if the day changed since the last report.
+   *
+   * @private
+   * @returns {boolean} Whether the `energy` state changed.
+   */
+  rotateEnergyBuckets()
+  {
+    if (!this.energyCounter || !this.state.energy || !this.energyCounter.rotate(Date.now()))
+    {
+      return false;
+    }
+
+    this.state.energy = this.energyCounter.getMetrics();
+
+    return true;
+  }
+
+  /**
+   * @private
+   * @param {(ReadHoldingRegistersRequest|ReadInputRegistersRequest)} request
+   * @param {respondCallback} respond
+   */
+  handleReadRegistersRequest(request, respond)
+  {
+    if (request.startingIndex > this.buffer.length - 1 || request.endingIndex > this.buffer.length)
+    {
+      respond(modbus.ExceptionCode.IllegalDataAddress);
+
+      return;
+    }
+
+    const changes = {
+      history: !!this.history,
+      receivers: !!this.receiverRegisters,
+      energy: this.rotateEnergyBuckets()
+    };
+
+    if (changes.history || changes.receivers || changes.energy)
+    {
+      this.registerMap.write(this.buffer, this.getRegisterValues(), changes);
+    }
+
+    respond({
+      data: this.buffer.slice(request.startingIndex, request.endingIndex)
+    });
+  }
+
+  /**
+   * @private
+   * @param {(ReadCoilsRequest|ReadDiscreteInputsRequest)} request
+   * @param {respondCallback} respond
+   */
+  handleReadBitsRequest(request, respond)
+  {
+    const bits = this.registerMap.readBits(this.getRegisterValues());
+    const endingAddress = request.startingAddress + request.quantity;
+
+    if (request.startingAddress > bits.length - 1 || endingAddress > bits.length)
+    {
+      respond(modbus.ExceptionCode.IllegalDataAddress);
+
+      return;
+    }
+
+    respond({
+      states: bits.slice(request.startingAddress, endingAddress)
+    });
+  }
+
+  /**
+   * @private
+   * @param {WriteSingleCoilRequest} request
+   * @param {respondCallback} respond
+   */
+  handleWriteSingleCoilRequest(request, respond)
+  {
+    const write = {
+      coil: true,
+      address: request.address,
+      property: this.registerMap.getBitProperty(request.address) || null,
+      bits: null,
+      value: request.state
+    };
+
+    this.executeWrite(write, respond, {
+      address: request.address,
+      state: request.state
+    });
+  }
+
+  /**
+   * @private
+   * @param {WriteSingleRegisterRequest} request
+   * @param {respondCallback} respond
+   */
+  handleWriteSingleRegisterRequest(request, respond)
+  {
+    const register = this.registerMap.getRegister(request.address);
+
+    if (!register)
+    {
+      respond(modbus.ExceptionCode.IllegalDataAddress);
+
+      return;
+    }
+
+    const write = {
+      coil: false,
+      address: request.address,
+      property: register.bits ? null : register.name,
+      bits: register.bits ? register.bits.slice() : null,
+      value: request.value
+    };
+
+    this.executeWrite(write, respond, {
+      address: request.address,
+      value: request.value
+    });
+  }
+
+  /**
+   * Creates a command from the specified write with the encoder of the device model. Devices of a not yet known
+   * or an unregistered model use the built-in encoder.
+   *
+   * @private
+   * @param {ModelWrite} write
+   * @param {respondCallback} respond
+   * @param {Object} response
+   */
+  executeWrite(write, respond, response)
+  {
+    const definition = MODELS.get(this.model);
+    const encode = definition ? definition.encode : encodeWrite;
+    const command = encode ? encode(write, this) : undefined;
+
+    if (command === undefined)
+    {
+      respond(modbus.ExceptionCode.IllegalDataAddress);
+
+      return;
+    }
+
+    if (command === null)
     {
-      return false;
+      respond(modbus.ExceptionCode.IllegalDataValue);
+
+      return;
     }
 
-    return true;
+    this.executeCommand(command, respond, response);
   }
 
   /**
-   * @param {Request} request
+   * Asks the listeners of the `command` event (i.e. the `Gateway`) to deliver the specified command to the device
+   * and then waits for an advertising report confirming the requested change. If the device model doesn't
+   * confirm its commands, the response is sent right after the delivery.
+   *
+   * @private
+   * @param {DeviceCommand} command
    * @param {respondCallback} respond
+   * @param {Object} response
    */
-  handleModbusRequest(request, respond)
+  executeCommand(command, respond, response)
   {
-    if (request.functionCode !== modbus.FunctionCode.ReadHoldingRegisters)
+    if (this.listenerCount('command') === 0)
     {
-      respond(modbus.ExceptionCode.IllegalFunctionCode);
+      respond(modbus.ExceptionCode.GatewayPathUnavailable);
 
       return;
     }
 
-    this.handleReadHoldingRegistersRequest(request, respond);
+    this.emit('command', command, exceptionCode =>
+    {
+      if (exceptionCode)
+      {
+        respond(exceptionCode);
+
+        return;
+      }
+
+      if (!this.getCommandConfirmation())
+      {
+        respond(response);
+
+        return;
+      }
+
+      this.addPendingCommand({
+        command: command,
+        respond: () => respond(response),
+        fail: () => respond(modbus.ExceptionCode.GatewayTargetDeviceFailedToRespond),
+        expiresAt: Date.now() + this.commandTimeout,
+        timer: null
+      });
+    });
   }
 
   /**
-   * @param {AdvertisingReport} report
+   * Waits for the confirmation of the specified command until it expires.
+   *
+   * @private
+   * @param {PendingCommand} pendingCommand
    */
-  handleAdvertisingReport(report)
+  addPendingCommand(pendingCommand)
   {
-    this.lastSeenAt = Date.now();
+    pendingCommand.timer = setTimeout(() =>
+    {
+      this.pendingCommands.delete(pendingCommand);
 
-    this.changeState('rssi', report.rssi);
+      pendingCommand.fail();
+    }, Math.max(0, pendingCommand.expiresAt - Date.now()));
 
-    report.data.forEach(this.handleEirDataStructure);
+    this.pendingCommands.add(pendingCommand);
+  }
 
-    const changedKeys = Object.keys(this.changes);
+  /**
+   * @private
+   */
+  confirmPendingCommands()
+  {
+    const confirm = this.getCommandConfirmation();
 
-    if (changedKeys.length)
+    this.pendingCommands.forEach(pendingCommand =>
     {
-      this.emit('change', Object.assign({}, this.changes));
-    }
+      if (!confirm || !confirm(pendingCommand.command, this))
+      {
+        return;
+      }
 
-    changedKeys.forEach(k =>
-    {
-      this.state[k] = this.changes[k];
-      this.changes[k] = true;
+      clearTimeout(pendingCommand.timer);
+
+      this.pendingCommands.delete(pendingCommand);
+
+      pendingCommand.respond();
     });
+  }
 
-    if (changedKeys.length)
+  /**
+   * @private
+   * @returns {?function(DeviceCommand, Device): boolean}
+   */
+  getCommandConfirmation()
+  {
+    const definition = MODELS.get(this.model);
+
+    return definition ? definition.confirm : isCommandConfirmed;
+  }
+
+  /**
+   * @private
+   * @param {EncapsulatedInterfaceTransportRequest} request
+   * @param {respondCallback} respond
+   */
+  handleEncapsulatedInterfaceTransportRequest(request, respond)
+  {
+    if (request.meiType !== MEI_READ_DEVICE_IDENTIFICATION)
     {
-      this.updateBuffer();
+      respond(modbus.ExceptionCode.IllegalFunctionCode);
 
-      this.changes = {};
+      return;
     }
+
+    this.handleReadDeviceIdentificationRequest(request, respond);
   }
 
   /**
    * @private
-   * @param {ReadHoldingRegistersRequest} request
+   * @param {ReadDeviceIdentificationRequest} request
    * @param {respondCallback} respond
    */
-  handleReadHoldingRegistersRequest(request, respond)
+  handleReadDeviceIdentificationRequest(request, respond)
   {
-    if (request.startingIndex > this.buffer.length - 1 || request.endingIndex > this.buffer.length)
+    const readDeviceIdCode = request.readDeviceIdCode;
+    const identification = this.getIdentification();
+    let objectIds;
+
+    switch (readDeviceIdCode)
     {
-      respond(modbus.ExceptionCode.IllegalDataAddress);
+      case DeviceIdCode.Basic:
+        objectIds = [
+          DeviceIdObject.VendorName,
+          DeviceIdObject.ProductCode,
+          DeviceIdObject.MajorMinorRevision
+        ];
+        break;
 
-      return;
+      case DeviceIdCode.Regular:
+        objectIds = Object.keys(identification)
+          .map(id => +id)
+          .filter(id => id < DeviceIdObject.MacAddress);
+        break;
+
+      case DeviceIdCode.Extended:
+        objectIds = Object.keys(identification).map(id => +id);
+        break;
+
+      case DeviceIdCode.Individual:
+        if (typeof identification[request.objectId] !== 'string')
+        {
+          respond(modbus.ExceptionCode.IllegalDataAddress);
+
+          return;
+        }
+
+        objectIds = [request.objectId];
+        break;
+
+      default:
+        respond(modbus.ExceptionCode.IllegalDataValue);
+
+        return;
+    }
+
+    // A stream access starting at an unknown object ID restarts from the beginning of the category.
+    if (readDeviceIdCode !== DeviceIdCode.Individual && objectIds.indexOf(request.objectId) !== -1)
+    {
+      objectIds = objectIds.filter(id => id >= request.objectId);
     }
 
     respond({
-      data: this.buffer.slice(request.startingIndex, request.endingIndex)
+      meiType: MEI_READ_DEVICE_IDENTIFICATION,
+      readDeviceIdCode: readDeviceIdCode,
+      conformityLevel: DEVICE_ID_CONFORMITY_LEVEL,
+      moreFollows: false,
+      nextObjectId: 0,
+      objects: objectIds.map(id => ({id: id, value: identification[id]}))
     });
   }
 
   /**
+   * The advertisements don't carry the firmware revision, so the mandatory major/minor revision object
+   * is always `0.0`.
+   *
    * @private
+   * @returns {Object<number, string>}
+   */
+  getIdentification()
+  {
+    const modelName = getModelName(this.model);
+    const identification = {};
+
+    identification[DeviceIdObject.VendorName] = 'iNode.pl';
+    identification[DeviceIdObject.ProductCode] = `0x${(this.model || 0).toString(16).toUpperCase()}`;
+    identification[DeviceIdObject.MajorMinorRevision] = '0.0';
+    identification[DeviceIdObject.VendorUrl] = 'https://inode.pl/';
+    identification[DeviceIdObject.ProductName] = `iNode ${modelName}`;
+    identification[DeviceIdObject.ModelName] = modelName;
+    identification[DeviceIdObject.UserApplicationName] = this.state.localName || '';
+    identification[DeviceIdObject.MacAddress] = this.mac;
+
+    return identification;
+  }
+
+  /**
+   * @protected
    * @param {EirDataStructure} eirDataStructure
    */
   handleEirDataStructure(eirDataStructure)
@@ -256,60 +1320,58 @@ class Device extends EventEmitter
     this.changeState('rtto', msd.rtto);
     this.changeState('alarms', msd.alarms);
 
-    switch (msd.model)
+    const definition = MODELS.get(msd.model);
+
+    if (!definition || (!definition.properties.length && !definition.decode))
     {
-      case DeviceModel.CareRelay:
-        this.handleCareRelayMsd(msd);
-        break;
+      this.handleRawMsd(msd);
 
-      case DeviceModel.EnergyMeter:
-        this.handleEnergyMeterMsd(msd);
-        break;
+      return;
+    }
 
-      case DeviceModel.CareSensor1:
-      case DeviceModel.CareSensor2:
-      case DeviceModel.CareSensor3:
-      case DeviceModel.CareSensor4:
-      case DeviceModel.CareSensor5:
-      case DeviceModel.CareSensor6:
-      case DeviceModel.CareSensorT:
-      case DeviceModel.CareSensorHT:
-      case DeviceModel.CareSensorPT:
-      case DeviceModel.CareSensorPHT:
-        this.handleCareSensorMsd(msd);
-        break;
+    this.compareStateProperties(msd, definition.properties);
+
+    const decoded = definition.decode ? definition.decode(msd, this) : null;
+
+    if (decoded)
+    {
+      Object.keys(decoded).forEach(property => this.changeState(property, decoded[property]));
     }
   }
 
   /**
+   * Keeps the raw manufacturer specific data of the models without a decoder, so that such devices
+   * (e.g. beacons or models unknown to this version) are at least usable. The bytes are taken from the `payload`
+   * attached by the `Gateway` or, if not available, from the `data` kept by the decoder.
+   *
    * @private
-   * @param {INodeCareRelayMsd} msd
+   * @param {INodeDeviceMsd} msd
    */
-  handleCareRelayMsd(msd)
+  handleRawMsd(msd)
   {
-    this.compareStateProperties(msd, MSD_PROPERTIES.CareRelay);
-  }
+    let companyIdentifier = msd.companyIdentifier;
+    let data = msd.data;
 
-  /**
-   * @private
-   * @param {INodeEnergyMeterMsd} msd
-   */
-  handleEnergyMeterMsd(msd)
-  {
-    this.compareStateProperties(msd, MSD_PROPERTIES.EnergyMeter);
-  }
+    if (Buffer.isBuffer(msd.payload) && msd.payload.length >= 2)
+    {
+      companyIdentifier = msd.payload.readUInt16LE(0);
+      data = msd.payload.slice(2);
+    }
 
-  /**
-   * @private
-   * @param {INodeCareSensorMsd} msd
-   */
-  handleCareSensorMsd(msd)
-  {
-    this.compareStateProperties(msd, MSD_PROPERTIES.CareSensor);
+    if (!Buffer.isBuffer(data))
+    {
+      return;
+    }
+
+    this.changeState('rawData', {
+      companyIdentifier: companyIdentifier,
+      length: data.length,
+      data: data.toString('hex').toUpperCase()
+    });
   }
 
   /**
-   * @private
+   * @protected
    * @param {DeviceModel} newModel
    */
   changeModel(newModel)
@@ -330,7 +1392,7 @@ class Device extends EventEmitter
 
   /**
    * @private
-   * @param {INodeEnergyMeterMsd} msd
+   * @param {INodeDeviceMsd} msd
    * @param {Array<string>} properties
    */
   compareStateProperties(msd, properties)
@@ -339,7 +1401,7 @@ class Device extends EventEmitter
   }
 
   /**
-   * @private
+   * @protected
    * @param {string} stateProperty
    * @param {*} newValue
    */
@@ -350,8 +1412,29 @@ class Device extends EventEmitter
       return;
     }
 
+    if (this.history)
+    {
+      this.history.add(stateProperty, newValue);
+    }
+
+    if (!this.received[stateProperty])
+    {
+      this.received[stateProperty] = true;
+      this.receivedChanged = true;
+    }
+
     const oldValue = this.state[stateProperty];
 
+    if (newValue instanceof Date)
+    {
+      if (!(oldValue instanceof Date) || newValue.getTime() !== oldValue.getTime())
+      {
+        this.changes[stateProperty] = newValue;
+      }
+
+      return;
+    }
+
     if (newValue !== null && typeof newValue === 'object')
     {
       if (oldValue == null)
@@ -396,344 +1479,384 @@ class Device extends EventEmitter
   }
 
   /**
+   * The history aggregates are calculated only if the `history` value is read, i.e. when the history registers
+   * are written.
+   *
    * @private
+   * @returns {Object}
    */
-  updateBuffer() // eslint-disable-line complexity
+  getRegisterValues()
   {
-    const state = this.state;
-    const changes = this.changes;
-    const modelChanged = changes.model;
+    const gatewayAlarms = this.alarmRules.map(rule => rule.active);
+    const values = Object.assign({mac: this.mac, model: this.model}, this.state, {
+      received: this.received,
+      gatewayAlarms: gatewayAlarms,
+      receivers: this.receiverTracker.getRegisterValues(Date.now())
+    });
+    const history = this.history;
+    let aggregates = history ? null : {};
+
+    Object.defineProperty(values, 'history', {
+      enumerable: true,
+      get: () => aggregates || (aggregates = history.aggregateAll())
+    });
+
+    return values;
+  }
 
-    if (modelChanged)
+  /**
+   * @private
+   */
+  updateBuffer()
+  {
+    if (this.changes.model)
     {
       this.resetBuffer();
     }
 
-    const buffer = this.buffer;
-
-    if (buffer === null)
+    if (this.buffer === null)
     {
       return;
     }
 
-    if (modelChanged || changes.localName)
-    {
-      buffer.write((state.localName || '').substring(0, 16), 6);
-    }
+    this.registerMap.write(this.buffer, this.getRegisterValues(), this.changes.model ? null : this.changes);
+  }
 
-    if (modelChanged || changes.rssi)
-    {
-      buffer.writeInt16BE(typeof state.rssi === 'number' ? state.rssi : 0x00FF, 24, true);
-    }
+  /**
+   * @private
+   * @param {RegisterMap} baseRegisterMap
+   * @returns {RegisterMap}
+   */
+  createRegisterMap(baseRegisterMap)
+  {
+    const registerMap = baseRegisterMap.configure(this.registerMapOptions);
+    let registers = [];
 
-    if (modelChanged || changes.txPowerLevel)
+    if (this.alarmRules.length && !hasGatewayAlarmsRegister(registerMap))
     {
-      buffer.writeInt16BE(typeof state.txPowerLevel === 'number' ? state.txPowerLevel : 0x00FF, 26, true);
+      registers.push({address: 0, type: 'bits', bits: this.alarmRules.map((rule, i) => `gatewayAlarms.${i}`)});
     }
 
-    if (modelChanged || changes.rtto)
+    if (this.history)
     {
-      buffer.writeUInt16BE(state.rtto ? 1 : 0, 28, true);
+      registers = registers.concat(this.createHistoryRegisters(registerMap, registers.length));
     }
 
-    if (modelChanged || changes.alarms)
+    if (this.receiverRegisters)
     {
-      this.writeAlarms(buffer, 30);
+      registers = registers.concat(this.createReceiverRegisters(registerMap, registers.length));
     }
 
-    switch (this.model)
-    {
-      case DeviceModel.CareRelay:
-        this.writeCareRelay();
-        break;
-
-      case DeviceModel.EnergyMeter:
-        this.writeEnergyMeter();
-        break;
-
-      case DeviceModel.CareSensor1:
-      case DeviceModel.CareSensor2:
-      case DeviceModel.CareSensor3:
-      case DeviceModel.CareSensor4:
-      case DeviceModel.CareSensor5:
-      case DeviceModel.CareSensor6:
-      case DeviceModel.CareSensorT:
-      case DeviceModel.CareSensorHT:
-      case DeviceModel.CareSensorPT:
-      case DeviceModel.CareSensorPHT:
-        this.writeCareSensor();
-        break;
-    }
+    return registers.length ? registerMap.extend(registers) : registerMap;
   }
 
-  resetBuffer()
+  /**
+   * Creates the min, max and mean registers for each window of each tracked property that has a numeric register
+   * in the specified register map. The registers have the same type, scale and sentinel as the property register.
+   *
+   * @private
+   * @param {RegisterMap} registerMap
+   * @param {number} address The relative address of the first register.
+   * @returns {Array<RegisterDefinition>}
+   */
+  createHistoryRegisters(registerMap, address)
   {
-    let bufferLength = 6 // MAC
-      + 16 // Local name
-      + 2 // Model
-      + 2 // RSSI
-      + 2 // TX power level
-      + 2 // RTTO
-      + 2; // Alarms
+    const registers = [];
 
-    switch (this.model)
+    this.history.properties.forEach(property =>
     {
-      case DeviceModel.CareRelay:
-        bufferLength += 2; // Flags
-        break;
-
-      case DeviceModel.EnergyMeter:
-        bufferLength += 2 // Constant
-          + 2 // Unit
-          + 4 // Total value
-          + 4 // Average value
-          + 2 // Light level
-          + 2 // Week day
-          + 4 // Week day total value
-          + 2 // Battery level
-          + 2; // Battery voltage
-        break;
+      const definition = registerMap.getRegisterDefinition(property);
 
-      case DeviceModel.CareSensor1:
-      case DeviceModel.CareSensor2:
-      case DeviceModel.CareSensor3:
-      case DeviceModel.CareSensor4:
-      case DeviceModel.CareSensor5:
-      case DeviceModel.CareSensor6:
-      case DeviceModel.CareSensorT:
-      case DeviceModel.CareSensorHT:
-        bufferLength += 2 // Flags
-          + 2 // Temperature
-          + 2 // Humidity
-          + 2 // Pressure
-          + 2 // x
-          + 2 // y
-          + 2 // z
-          + 2 // Battery level
-          + 2 // Battery voltage
-          + 2 // Groups
-          + 4; // Time
-        break;
-    }
+      if (!definition || HISTORY_REGISTER_TYPES.indexOf(definition.type) === -1)
+      {
+        return;
+      }
 
-    this.buffer = new Buffer(bufferLength).fill(0);
+      const size = definition.type === 'uint16' || definition.type === 'int16' ? 1 : 2;
 
-    this.mac
-      .split(':')
-      .map(hex => parseInt(hex, 16))
-      .forEach((byte, i) => { this.buffer[i] = byte; });
+      this.history.windows.forEach((window, w) =>
+      {
+        HISTORY_STATS.forEach(stat =>
+        {
+          registers.push(Object.assign({}, definition, {
+            address: address,
+            property: `history.${property}.${w}.${stat}`,
+            fallback: null
+          }));
+
+          address += size;
+        });
+      });
+    });
 
-    this.buffer.writeUInt16BE(this.model, 22, true);
+    return registers;
   }
 
   /**
+   * Creates the best receiver ID, its smoothed RSSI, the number of receivers that heard the device
+   * and the smoothed RSSI of each receiver registers.
+   *
    * @private
-   * @param {Buffer} buffer
-   * @param {number} i
+   * @param {RegisterMap} registerMap
+   * @param {number} address The relative address of the first register.
+   * @returns {Array<RegisterDefinition>}
    */
-  writeAlarms(buffer, i)
+  createReceiverRegisters(registerMap, address)
   {
-    const alarms = this.state.alarms || {};
-    const bytes = 0
-      | (alarms.lowBattery ? 1 : 0)
-      | (alarms.moveAccelerometer ? 2 : 0)
-      | (alarms.levelAccelerometer ? 4 : 0)
-      | (alarms.levelTemperature ? 8 : 0)
-      | (alarms.levelHumidity ? 16 : 0)
-      | (alarms.contactChange ? 32 : 0)
-      | (alarms.moveStopped ? 64 : 0)
-      | (alarms.moveGTimer ? 128 : 0)
-      | (alarms.levelAccelerometerChange ? 256 : 0)
-      | (alarms.levelMagnetChange ? 512 : 0)
-      | (alarms.levelMagnetTimer ? 1024 : 0);
+    const rssiRegister = registerMap.getRegisterDefinition('rssi') || {type: 'int16', sentinel: 0xFF};
+    const registers = [
+      {address: address, type: 'uint16', property: 'receivers.best'},
+      Object.assign({}, rssiRegister, {address: address + 1, property: 'receivers.bestRssi'}),
+      {address: address + 2, type: 'uint16', property: 'receivers.count'}
+    ];
+
+    for (let i = 1; i <= this.receiverRegisters; ++i)
+    {
+      registers.push(Object.assign({}, rssiRegister, {address: address + 2 + i, property: `receivers.rssi.${i}`}));
+    }
 
-    buffer.writeUInt16BE(bytes, i);
+    return registers;
   }
 
   /**
    * @private
    */
-  writeCareRelay()
+  resetBuffer()
   {
-    this.buffer.writeUInt16BE(0 | (this.state.output ? 2 : 0), MSD_FIRST_REGISTER_INDEX, true);
+    this.registerMap = this.createRegisterMap(this.customRegisterMap || Device.getRegisterMap(this.model));
+    this.buffer = new Buffer(this.registerMap.length * 2).fill(0);
   }
+}
 
-  /**
-   * @private
-   */
-  writeEnergyMeter() // eslint-disable-line complexity
-  {
-    const state = this.state;
-    const changes = this.changes;
-    const modelChanged = changes.model;
-    const cnt = state.unit === 2;
-
-    let i = MSD_FIRST_REGISTER_INDEX;
-
-    if (modelChanged || changes.constant)
-    {
-      this.buffer.writeUInt16BE(state.constant, i, true);
-    }
-
-    i += 2;
-
-    if (modelChanged || changes.unit)
-    {
-      this.buffer.writeUInt16BE(state.unit, i, true);
-    }
-
-    i += 2;
-
-    if (modelChanged || changes.sum)
-    {
-      this.buffer.writeUInt32BE(Math.round(state.sum * (cnt ? 1 : 100)), i, true);
-    }
-
-    i += 4;
+module.exports = Device;
 
-    if (modelChanged || changes.average)
+BUILT_IN_MODELS.forEach(builtInModel =>
+{
+  builtInModel.models.forEach(modelName =>
+  {
+    if (typeof DeviceModel[modelName] !== 'undefined')
     {
-      this.buffer.writeUInt32BE(Math.round(state.average * (cnt ? 1 : 100)), i, true);
+      Device.registerModel(DeviceModel[modelName], {
+        name: modelName,
+        properties: builtInModel.properties,
+        decode: builtInModel.decode,
+        encode: builtInModel.encode,
+        confirm: builtInModel.confirm,
+        registerMap: registerMaps.models[modelName]
+      });
     }
+  });
+});
+
+/**
+ * @private
+ * @param {INodeEnergyMeterMsd} msd
+ * @param {Device} device
+ * @returns {?Object}
+ */
+function decodeEnergyMeterMsd(msd, device)
+{
+  if (typeof msd.sum !== 'number')
+  {
+    return null;
+  }
 
-    i += 4;
-
-    if (modelChanged || changes.lightLevel)
-    {
-      const lightLevel = typeof state.lightLevel === 'number' ? state.lightLevel : 0x00FF;
-
-      this.buffer.writeUInt16BE(Math.round(lightLevel * 100), i, true);
-    }
+  return {
+    energy: device.getEnergyCounter().update(msd.sum, msd.constant)
+  };
+}
 
-    i += 2;
+/**
+ * Creates the commands of the built-in models: switching the output, resetting the alarms and resetting
+ * the Energy Meter counters.
+ *
+ * @private
+ * @param {ModelWrite} write
+ * @param {Device} device
+ * @returns {(DeviceCommand|null|undefined)}
+ */
+function encodeWrite(write, device)
+{
+  const value = write.value;
 
-    if (modelChanged || changes.weekDay)
+  if (write.coil)
+  {
+    if (write.property === 'output')
     {
-      const weekDay = typeof state.weekDay === 'number' ? state.weekDay : 0x00FF;
-
-      this.buffer.writeUInt16BE(weekDay, i, true);
+      return {type: CommandType.SetOutput, output: !!value};
     }
 
-    i += 2;
-
-    if (modelChanged || changes.weekDayTotal)
+    if (write.property && /^alarms\./.test(write.property))
     {
-      this.buffer.writeUInt32BE(changes.weekDayTotal || 0, i, true);
+      return value ? null : {type: CommandType.ResetAlarms};
     }
 
-    i += 4;
-
-    if (modelChanged || changes.batteryLevel)
-    {
-      this.buffer.writeUInt16BE(Math.round(state.batteryLevel || 0), i, true);
-    }
+    return undefined;
+  }
 
-    i += 2;
+  const bits = write.bits || [];
 
-    if (modelChanged || changes.batteryVoltage)
-    {
-      const batteryVoltage = typeof state.batteryVoltage === 'number' ? state.batteryVoltage : 0x00FF;
+  if (bits.indexOf('output') !== -1)
+  {
+    const outputMask = 1 << bits.indexOf('output');
 
-      this.buffer.writeUInt16BE(Math.round(batteryVoltage * 100), i, true);
-    }
+    return (value & ~outputMask) === 0 ? {type: CommandType.SetOutput, output: value === outputMask} : null;
   }
 
-  /**
-   * @private
-   */
-  writeCareSensor() // eslint-disable-line complexity
+  if (bits.length && bits.every(bit => bit === null || /^alarms\./.test(bit)))
   {
-    const state = this.state;
-    const changes = this.changes;
-    const modelChanged = changes.model;
-    const position = state.position || {};
-
-    let i = MSD_FIRST_REGISTER_INDEX;
-
-    const flags = 0
-      | (state.input || state.magneticFieldDirection ? 1 : 0)
-      | (state.output ? 2 : 0)
-      | (position.motion ? 4 : 0);
-
-    this.buffer.writeUInt16BE(flags, i, true);
-    i += 2;
-
-    if (modelChanged || changes.temperature)
-    {
-      const temperature = typeof state.temperature === 'number' ? state.temperature : 0x00FF;
-
-      this.buffer.writeInt16BE(Math.round(temperature * 100), i, true);
-    }
+    return value === 0 ? {type: CommandType.ResetAlarms} : null;
+  }
 
-    i += 2;
+  if (write.property === 'sum')
+  {
+    return value === 0 ? {type: CommandType.ResetCounters, previousSum: device.state.sum || 0} : null;
+  }
 
-    if (modelChanged || changes.humidity || changes.magneticField)
-    {
-      let value2 = 0x00FF * 100;
+  return undefined;
+}
 
-      if (typeof state.humidity === 'number')
-      {
-        value2 = Math.round(state.humidity * 100);
-      }
-      else if (typeof state.magneticField === 'number')
-      {
-        value2 = state.magneticField;
-      }
+/**
+ * @private
+ * @param {DeviceCommand} command
+ * @param {Device} device
+ * @returns {boolean} Whether the state of the specified device confirms the specified built-in command.
+ */
+function isCommandConfirmed(command, device)
+{
+  const state = device.state;
 
-      this.buffer.writeUInt16BE(value2, i, true);
-    }
+  switch (command.type)
+  {
+    case CommandType.SetOutput:
+      return !!state.output === command.output;
 
-    i += 2;
+    case CommandType.ResetAlarms:
+      return !state.alarms || Object.keys(state.alarms).every(alarm => !state.alarms[alarm]);
 
-    if (modelChanged || changes.pressure)
-    {
-      const pressure = typeof state.pressure === 'number' ? state.pressure * 16 : 0;
+    case CommandType.ResetCounters:
+      return state.sum === 0 || state.sum < command.previousSum;
 
-      this.buffer.writeInt16BE(Math.round(pressure), i, true);
-    }
+    default:
+      return false;
+  }
+}
 
-    i += 2;
+/**
+ * @private
+ * @param {RegisterMap} registerMap
+ * @returns {boolean} Whether the specified register map has a register with the gateway alarm bits.
+ */
+function hasGatewayAlarmsRegister(registerMap)
+{
+  return registerMap.toJSON().registers.some(
+    register => Array.isArray(register.bits) && register.bits.some(bit => /^gatewayAlarms\./.test(bit))
+  );
+}
 
-    if (modelChanged || changes.position)
-    {
-      this.buffer.writeInt16BE(position.x || 0, i, true);
-      i += 2;
-      this.buffer.writeInt16BE(position.y || 0, i, true);
-      i += 2;
-      this.buffer.writeInt16BE(position.z || 0, i, true);
-      i += 2;
-    }
+/**
+ * @private
+ * @param {Array<AlarmRuleDefinition>} definitions
+ * @returns {Array<AlarmRule>}
+ * @throws {Error} If any of the specified `definitions` is invalid, the names aren't unique or there are more
+ * than 16 of them.
+ */
+function createAlarmRules(definitions)
+{
+  if (definitions.length > 16)
+  {
+    throw new Error(`Too many alarm rules: ${definitions.length}. Expected at most 16.`);
+  }
 
-    if (modelChanged || changes.batteryLevel)
-    {
-      this.buffer.writeUInt16BE(Math.round(state.batteryLevel || 0), i, true);
-    }
+  const names = new Set();
 
-    i += 2;
+  return definitions.map(definition =>
+  {
+    const rule = new AlarmRule(definition);
 
-    if (modelChanged || changes.batteryVoltage)
+    if (names.has(rule.name))
     {
-      const batteryVoltage = typeof state.batteryVoltage === 'number' ? state.batteryVoltage : 0x00FF;
-
-      this.buffer.writeUInt16BE(Math.round(batteryVoltage * 100), i, true);
+      throw new Error(`Duplicate alarm rule name: ${rule.name}`);
     }
 
-    i += 2;
+    names.add(rule.name);
 
-    if (modelChanged || changes.groups)
-    {
-      this.buffer.writeUInt16BE(state.groups || 0, i, true);
-    }
+    return rule;
+  });
+}
 
-    i += 2;
+/**
+ * @private
+ * @param {?DeviceModel} model
+ * @returns {string}
+ */
+function getModelName(model)
+{
+  const modelNames = Object.keys(DeviceModel);
 
-    if (modelChanged || changes.time)
+  for (let i = 0; i < modelNames.length; ++i)
+  {
+    if (DeviceModel[modelNames[i]] === model)
     {
-      const time = state.time ? state.time.getTime() : 0;
-
-      this.buffer.writeUInt32BE(Math.round(time / 1000), i, true);
+      return modelNames[i];
     }
   }
+
+  return 'Unknown';
 }
 
-module.exports = Device;
+/**
+ * @typedef {Object} ModelOptions
+ * @property {string} [name] The model name used in the device identification (defaults to the `DeviceModel` name
+ * or `Unknown`).
+ * @property {Array<string>} [properties] Names of the decoded MSD properties copied to the device state.
+ * @property {function(INodeDeviceMsd, Device): ?Object} [decode] Returns additional state values derived from
+ * the MSD, e.g. from a custom payload.
+ * @property {function(ModelWrite, Device): (DeviceCommand|null|undefined)} [encode] Creates a command
+ * from a MODBUS write: returns `undefined` if the written coil or register isn't writable and `null` if the written
+ * value is invalid. Without it, all the writes are rejected.
+ * @property {function(DeviceCommand, Device): boolean} [confirm] Returns whether the state of the device confirms
+ * the command. Without it, the writes are answered right after their commands are delivered.
+ * @property {(RegisterMap|RegisterMapDefinition)} [registerMap] The register map of the model (defaults to
+ * the raw data register map).
+ */
+
+/**
+ * @typedef {Object} ModelWrite
+ * @property {boolean} coil Whether a coil (Write Single Coil) or a register (Write Single Register) is written.
+ * @property {number} address
+ * @property {?string} property The property path of the written coil or register (`null` in case of the reserved
+ * bits and the `bits` registers).
+ * @property {?Array<?string>} bits The property paths of the bits of the written `bits` register.
+ * @property {(boolean|number)} value The written coil state or register value.
+ */
+
+/**
+ * @private
+ * @typedef {Object} ModelDefinition
+ * @property {string} name
+ * @property {Array<string>} properties
+ * @property {?function(INodeDeviceMsd, Device): ?Object} decode
+ * @property {?function(ModelWrite, Device): (DeviceCommand|null|undefined)} encode
+ * @property {?function(DeviceCommand, Device): boolean} confirm
+ * @property {?RegisterMap} registerMap
+ */
+
+/**
+ * @typedef {Object} PendingCommand
+ * @property {DeviceCommand} command
+ * @property {function()} respond Responds to the MODBUS request after the command was confirmed.
+ * @property {function()} fail Responds with an exception after the command expired.
+ * @property {number} expiresAt
+ * @property {*} timer
+ */
+
+/**
+ * @typedef {Object} ReadDeviceIdentificationResponse
+ * @property {number} meiType
+ * @property {number} readDeviceIdCode
+ * @property {number} conformityLevel
+ * @property {boolean} moreFollows
+ * @property {number} nextObjectId
+ * @property {Array<{id: number, value: string}>} objects
+ */
@@ -0,0 +1,335 @@
+// Part of <http://miracle.systems/p/h5.modbus.inode> licensed under <MIT>
+
+'use strict';
+
+const RAW_SUM_RANGE = 0x100000000;
+const DEFAULT_POWER_WINDOW = 60 * 1000;
+const MS_PER_HOUR = 60 * 60 * 1000;
+const PRECISION = 1000000;
+const RESET_RATIO = 10;
+
+class EnergyCounter
+{
+  /**
+   * @param {number} [powerWindow=60000] The number of milliseconds the power is averaged over.
+   */
+  constructor(powerWindow)
+  {
+    /**
+     * @private
+     * @type {number}
+     */
+    this.powerWindow = powerWindow || DEFAULT_POWER_WINDOW;
+
+    /**
+     * The total value accumulated since the counter was created (immune to rollovers and resets)
+     * sampled at each update.
+     *
+     * @private
+     * @type {Array<{time: number, total: number}>}
+     */
+    this.samples = [];
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.total = 0;
+
+    /**
+     * @private
+     * @type {EnergyState}
+     */
+    this.state = {
+      power: null,
+      today: 0,
+      yesterday: 0,
+      thisMonth: 0,
+      lastMonth: 0,
+      rollovers: 0,
+      resets: 0,
+      sum: null,
+      updatedAt: null,
+      rotatedAt: null
+    };
+  }
+
+  /**
+   * @returns {EnergyState}
+   */
+  toJSON()
+  {
+    return Object.assign({}, this.state);
+  }
+
+  /**
+   * @returns {EnergyMetrics}
+   */
+  getMetrics()
+  {
+    const state = this.state;
+
+    return {
+      power: state.power,
+      today: state.today,
+      yesterday: state.yesterday,
+      thisMonth: state.thisMonth,
+      lastMonth: state.lastMonth,
+      rollovers: state.rollovers,
+      resets: state.resets
+    };
+  }
+
+  /**
+   * Restores the consumption buckets and the last total value, so that the consumption during the downtime
+   * is counted in on the next update.
+   *
+   * @param {EnergyState} state
+   */
+  restore(state)
+  {
+    if (!state || typeof state !== 'object')
+    {
+      return;
+    }
+
+    Object.keys(this.state).forEach(k =>
+    {
+      if (typeof state[k] === 'number')
+      {
+        this.state[k] = state[k];
+      }
+    });
+
+    this.state.power = null;
+    this.samples = [];
+  }
+
+  /**
+   * @param {number} sum The total value reported by the meter.
+   * @param {number} [constant] The meter constant (impulses per unit) used to determine the counter range.
+   * @param {number} [time=Date.now()]
+   * @returns {EnergyMetrics}
+   */
+  update(sum, constant, time)
+  {
+    if (!time)
+    {
+      time = Date.now();
+    }
+
+    const state = this.state;
+    const delta = this.calculateDelta(sum, constant);
+
+    this.rotate(time);
+
+    if (delta === null)
+    {
+      state.updatedAt = time;
+
+      return this.getMetrics();
+    }
+
+    state.today = round(state.today + delta);
+    state.thisMonth = round(state.thisMonth + delta);
+    state.sum = sum;
+    state.updatedAt = time;
+    state.rotatedAt = time;
+
+    this.total += delta;
+    this.samples.push({time: time, total: this.total});
+
+    state.power = this.calculatePower(time);
+
+    return this.getMetrics();
+  }
+
+  /**
+   * Moves the consumption to the yesterday's and last month's buckets if the local day or month changed
+   * since the last update or rotation, e.g. when no reports were received around midnight.
+   *
+   * @param {number} [time=Date.now()]
+   * @returns {boolean} Whether the day changed.
+   */
+  rotate(time)
+  {
+    const state = this.state;
+    const lastTime = state.rotatedAt !== null ? state.rotatedAt : state.updatedAt;
+
+    if (!time)
+    {
+      time = Date.now();
+    }
+
+    if (lastTime === null || time <= lastTime)
+    {
+      return false;
+    }
+
+    state.rotatedAt = time;
+
+    return this.rotateBuckets(new Date(lastTime), new Date(time));
+  }
+
+  /**
+   * A decrease of the total value is considered a rollover of the raw 32-bit counter if the previous value
+   * was in the upper half of the counter range and the new value is in the lower half, and a reset of the meter
+   * (after which the new value was consumed) if the new value is at least an order of magnitude lower.
+   * Any other decrease is considered a glitch, e.g. an out of order report, and ignored.
+   *
+   * @private
+   * @param {number} sum
+   * @param {number} [constant]
+   * @returns {?number} The consumption since the last update or `null` if the specified value should be ignored.
+   */
+  calculateDelta(sum, constant)
+  {
+    const state = this.state;
+
+    if (state.sum === null)
+    {
+      return 0;
+    }
+
+    if (sum >= state.sum)
+    {
+      return sum - state.sum;
+    }
+
+    const range = RAW_SUM_RANGE / (constant > 0 ? constant : 1);
+
+    if (state.sum >= range / 2 && sum < range / 2)
+    {
+      state.rollovers += 1;
+
+      return range - state.sum + sum;
+    }
+
+    if (sum * RESET_RATIO > state.sum)
+    {
+      return null;
+    }
+
+    state.resets += 1;
+
+    return sum;
+  }
+
+  /**
+   * @private
+   * @param {Date} lastDate
+   * @param {Date} date
+   * @returns {boolean} Whether the day changed.
+   */
+  rotateBuckets(lastDate, date)
+  {
+    const state = this.state;
+    const lastDay = getDayKey(lastDate);
+    const day = getDayKey(date);
+
+    if (day === lastDay)
+    {
+      return false;
+    }
+
+    const previousDate = new Date(date.getTime());
+
+    previousDate.setDate(previousDate.getDate() - 1);
+
+    state.yesterday = getDayKey(previousDate) === lastDay ? state.today : 0;
+    state.today = 0;
+
+    const lastMonth = getMonthKey(lastDate);
+    const month = getMonthKey(date);
+
+    if (month === lastMonth)
+    {
+      return true;
+    }
+
+    state.lastMonth = getMonthKey(new Date(date.getFullYear(), date.getMonth() - 1, 1)) === lastMonth
+      ? state.thisMonth
+      : 0;
+    state.thisMonth = 0;
+
+    return true;
+  }
+
+  /**
+   * @private
+   * @param {number} time
+   * @returns {?number} The consumption per hour over the power window.
+   */
+  calculatePower(time)
+  {
+    const samples = this.samples;
+    const windowStart = time - this.powerWindow;
+
+    // Keep the last sample before the window as the starting point.
+    while (samples.length > 2 && samples[1].time <= windowStart)
+    {
+      samples.shift();
+    }
+
+    const first = samples[0];
+    const last = samples[samples.length - 1];
+
+    if (last.time <= first.time)
+    {
+      return null;
+    }
+
+    return round((last.total - first.total) * MS_PER_HOUR / (last.time - first.time));
+  }
+}
+
+module.exports = EnergyCounter;
+
+/**
+ * @private
+ * @param {number} value
+ * @returns {number}
+ */
+function round(value)
+{
+  return Math.round(value * PRECISION) / PRECISION;
+}
+
+/**
+ * @private
+ * @param {Date} date
+ * @returns {number}
+ */
+function getDayKey(date)
+{
+  return getMonthKey(date) * 100 + date.getDate();
+}
+
+/**
+ * @private
+ * @param {Date} date
+ * @returns {number}
+ */
+function getMonthKey(date)
+{
+  return date.getFullYear() * 100 + date.getMonth();
+}
+
+/**
+ * @typedef {Object} EnergyMetrics
+ * @property {?number} power The consumption per hour (e.g. kW for kWh meters) over the power window
+ * or `null` if not enough reports were received yet.
+ * @property {number} today The consumption since the local midnight.
+ * @property {number} yesterday The consumption during the previous day.
+ * @property {number} thisMonth The consumption since the start of the local month.
+ * @property {number} lastMonth The consumption during the previous month.
+ * @property {number} rollovers The number of detected counter rollovers.
+ * @property {number} resets The number of detected meter resets.
+ */
+
+/**
+ * @typedef {EnergyMetrics} EnergyState
+ * @property {?number} sum The last total value reported by the meter.
+ * @property {?number} updatedAt The time of the last update.
+ * @property {?number} rotatedAt The time the buckets were last rotated at.
+ */
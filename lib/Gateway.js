@@ -2,15 +2,45 @@
 
 'use strict';
 
+const fs = require('fs');
 const EventEmitter = require('events').EventEmitter;
 const buffers = require('h5.buffers');
 const modbus = require('h5.modbus');
 const btHci = require('h5.bluetooth.hci');
+const RateCounter = require('./RateCounter');
+const AutoEnrolment = require('./AutoEnrolment');
+const Device = require('./Device');
+const BeaconDevice = require('./BeaconDevice');
+const gatewayConfig = require('./config');
+const helpers = require('./helpers');
+
+const DIAGNOSTICS_REGISTER_COUNT = 48;
+
+/**
+ * @private
+ * @type {Object<string, function(new:Device, string, number, Object)>}
+ */
+const DEVICE_CLASSES = {
+  inode: Device,
+  beacon: BeaconDevice
+};
+
+const H4_COMMAND = 0x01;
+const H4_ACL_DATA = 0x02;
+const H4_SYNCHRONOUS_DATA = 0x03;
+const H4_EVENT = 0x04;
+const MAX_ACL_DATA_LENGTH = 1021;
+const MIN_ADVERTISING_REPORT_LENGTH = 10;
+const MAX_ADVERTISING_REPORTS = 25;
+const ADVERTISING_REPORT_DATA_OFFSET = 14;
 
 class Gateway extends EventEmitter
 {
   /**
    * @param {GatewayOptions} options
+   * @throws {Error} If the specified `diagnosticsUnit` is not a valid MODBUS unit, i.e. an integer between 0 and 255.
+   * @throws {Error} If the specified `autoEnrolment` options are invalid.
+   * @throws {Error} If the specified `stateFile` exists, but doesn't contain a valid JSON object.
    */
   constructor(options)
   {
@@ -21,6 +51,13 @@ class Gateway extends EventEmitter
       options = {};
     }
 
+    if (options.diagnosticsUnit != null && (options.diagnosticsUnit < 0 || options.diagnosticsUnit > 0xFF))
+    {
+      throw new Error(
+        `Invalid diagnostics unit. Expected an integer between 0 and 255, but got: ${options.diagnosticsUnit}`
+      );
+    }
+
     /**
      * @type {function(this:Gateway, number, Request, respondCallback)}
      */
@@ -40,7 +77,121 @@ class Gateway extends EventEmitter
 
     /**
      * @private
-     * @type {Set<Connection, ConnectionState>}
+     * @type {?function(Device, DeviceCommand): Buffer}
+     */
+    this.encodeCommand = options.commandEncoder || null;
+
+    /**
+     * @private
+     * @type {function(ConnectionConfig): Connection}
+     */
+    this.createConnection = options.connectionFactory || Gateway.createConnection;
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.diagnosticsUnit = options.diagnosticsUnit != null ? options.diagnosticsUnit : -1;
+
+    /**
+     * @private
+     * @type {?AutoEnrolment}
+     */
+    this.autoEnrolment = options.autoEnrolment ? new AutoEnrolment(options.autoEnrolment) : null;
+
+    if (this.autoEnrolment)
+    {
+      this.autoEnrolment.on('error', this.emit.bind(this, 'enrolment:error'));
+    }
+
+    /**
+     * @private
+     * @type {?string}
+     */
+    this.stateFile = options.stateFile || null;
+
+    /**
+     * Device snapshots by MAC addresses.
+     *
+     * @private
+     * @type {Map<string, Object>}
+     */
+    this.snapshots = this.loadSnapshots();
+
+    /**
+     * @private
+     * @type {boolean}
+     */
+    this.savingState = false;
+
+    /**
+     * Callbacks of the `saveState()` calls made while the state was being saved.
+     *
+     * @private
+     * @type {Array<function(?Error)>}
+     */
+    this.queuedStateSaves = [];
+
+    /**
+     * @private
+     * @type {*}
+     */
+    this.saveStateTimer = null;
+
+    if (this.stateFile)
+    {
+      this.saveStateTimer = setInterval(this.saveState.bind(this), options.stateSaveInterval || 60000);
+      this.saveStateTimer.unref();
+    }
+
+    /**
+     * @private
+     * @type {*}
+     */
+    this.checkDevicesTimer = setInterval(this.checkDevices.bind(this), options.alarmCheckInterval || 1000);
+    this.checkDevicesTimer.unref();
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.connectionStaleTimeout = options.connectionStaleTimeout != null ? options.connectionStaleTimeout : 60000;
+
+    /**
+     * @private
+     * @type {*}
+     */
+    this.checkConnectionsTimer = null;
+
+    if (this.connectionStaleTimeout > 0)
+    {
+      this.checkConnectionsTimer = setInterval(
+        this.checkConnections.bind(this),
+        Math.min(this.connectionStaleTimeout, options.connectionCheckInterval || 1000)
+      );
+      this.checkConnectionsTimer.unref();
+    }
+
+    /**
+     * @private
+     * @type {GatewayStats}
+     */
+    this.stats = {
+      startedAt: Date.now(),
+      advertisingReports: 0,
+      unknownDeviceReports: 0,
+      hciDecodeErrors: 0
+    };
+
+    /**
+     * @private
+     * @type {RateCounter}
+     */
+    this.advertisingReportRate = new RateCounter();
+
+    /**
+     * @private
+     * @type {Map<Connection, ConnectionState>}
      */
     this.connections = new Map();
 
@@ -62,11 +213,60 @@ class Gateway extends EventEmitter
      */
     this.macToDevice = new Map();
 
+    /**
+     * The connections that last received an advertising report from the devices.
+     *
+     * @private
+     * @type {Map<Device, Connection>}
+     */
+    this.deviceToConnection = new Map();
+
     /**
      * @private
      * @type {Map<Device, Object>}
      */
     this.listeners = new Map();
+
+    /**
+     * JSON of the options of the devices added by `applyConfig()` by their MAC addresses.
+     *
+     * @private
+     * @type {Map<string, string>}
+     */
+    this.configuredDevices = new Map();
+
+    /**
+     * The connections created by `applyConfig()` by their `host:port` keys.
+     *
+     * @private
+     * @type {Map<string, {connection: Connection, json: string}>}
+     */
+    this.configuredConnections = new Map();
+  }
+
+  /**
+   * Creates an iNode LAN connection described by the specified connection config.
+   * Used by `applyConfig()` unless the `connectionFactory` option is specified.
+   *
+   * @param {ConnectionConfig} connectionConfig
+   * @returns {Connection}
+   */
+  static createConnection(connectionConfig)
+  {
+    const connection = modbus.createConnection({
+      socketOptions: {
+        host: connectionConfig.host,
+        port: connectionConfig.port
+      },
+      noActivityTime: connectionConfig.noActivityTime
+    });
+
+    if (typeof connectionConfig.hexEncoded === 'boolean')
+    {
+      connection.hexEncoded = connectionConfig.hexEncoded;
+    }
+
+    return connection;
   }
 
   /**
@@ -74,7 +274,41 @@ class Gateway extends EventEmitter
    */
   destroy(recursive)
   {
-    this.removeAllListeners();
+    clearInterval(this.checkDevicesTimer);
+    this.checkDevicesTimer = null;
+
+    clearInterval(this.checkConnectionsTimer);
+    this.checkConnectionsTimer = null;
+
+    if (this.stateFile)
+    {
+      clearInterval(this.saveStateTimer);
+      this.saveStateTimer = null;
+
+      let error = null;
+
+      try
+      {
+        this.saveStateSync();
+      }
+      catch (err)
+      {
+        error = err;
+
+        this.emit('state:error', err);
+      }
+
+      this.queuedStateSaves.splice(0).forEach(done => done(error));
+    }
+
+    this.configuredDevices.clear();
+    this.configuredConnections.clear();
+
+    if (this.autoEnrolment)
+    {
+      this.autoEnrolment.destroy();
+      this.autoEnrolment.removeAllListeners();
+    }
 
     this.connections.forEach((s, c) =>
     {
@@ -95,6 +329,8 @@ class Gateway extends EventEmitter
         d.destroy();
       }
     });
+
+    this.removeAllListeners();
   }
 
   /**
@@ -119,10 +355,93 @@ class Gateway extends EventEmitter
     return this.macToDevice.get(address) || null;
   }
 
+  /**
+   * @returns {Array<Connection>}
+   */
+  getConnections()
+  {
+    return Array.from(this.connections.keys());
+  }
+
+  /**
+   * @returns {Array<ConnectionInfo>} The added connections with their statistics, in the order they were added.
+   */
+  getConnectionInfos()
+  {
+    return this.getConnections().map(connection => this.getConnectionInfo(connection));
+  }
+
+  /**
+   * @param {Connection} connection
+   * @returns {?ConnectionInfo} The specified connection with its statistics or `null` if it wasn't added.
+   */
+  getConnectionInfo(connection)
+  {
+    const state = this.connections.get(connection);
+
+    if (!state)
+    {
+      return null;
+    }
+
+    return {
+      id: state.id,
+      connection: connection,
+      open: connection.isOpen(),
+      stale: state.stale,
+      stats: Object.assign({}, state.stats)
+    };
+  }
+
+  /**
+   * @param {Connection} connection
+   * @returns {?number} An ID assigned to the specified connection when it was added (also used as the receiver ID
+   * by the devices) or `null` if the connection wasn't added.
+   */
+  getConnectionId(connection)
+  {
+    const state = this.connections.get(connection);
+
+    return state ? state.id : null;
+  }
+
+  /**
+   * @param {number} id
+   * @returns {?Connection}
+   */
+  getConnectionById(id)
+  {
+    let result = null;
+
+    this.connections.forEach((state, connection) =>
+    {
+      if (state.id === id)
+      {
+        result = connection;
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * @param {Device} device
+   * @returns {?Connection} The connection with the strongest RSSI of the specified device or, if unknown,
+   * the connection the last advertising report of the device was received through.
+   */
+  getDeviceConnection(device)
+  {
+    const bestReceiverId = device.getBestReceiver();
+    const bestConnection = bestReceiverId === null ? null : this.getConnectionById(bestReceiverId);
+
+    return bestConnection || this.deviceToConnection.get(device) || null;
+  }
+
   /**
    * @param {Device} device
    * @throws {Error} If a different device with the same unit was already registered.
    * @throws {Error} If a different device with the same MAC address was already registered.
+   * @throws {Error} If the device unit is reserved for the gateway diagnostics.
    */
   addDevice(device)
   {
@@ -131,6 +450,11 @@ class Gateway extends EventEmitter
       return;
     }
 
+    if (device.unit === this.diagnosticsUnit)
+    {
+      throw new Error(`Device unit [${device.unit}] is reserved for the gateway diagnostics!`);
+    }
+
     if (this.unitToDevice.has(device.unit))
     {
       throw new Error(`Device with unit [${device.unit}] was already registered!`);
@@ -142,10 +466,19 @@ class Gateway extends EventEmitter
     }
 
     const listeners = {
-      change: this.emit.bind(this, 'device:change', device)
+      change: this.emit.bind(this, 'device:change', device),
+      command: this.deliverCommand.bind(this, device),
+      'alarm:raise': this.emit.bind(this, 'alarm:raise', device),
+      'alarm:clear': this.emit.bind(this, 'alarm:clear', device),
+      receiver: this.emit.bind(this, 'device:receiver', device)
     };
 
-    device.on('change', listeners.change);
+    Object.keys(listeners).forEach(eventName => device.on(eventName, listeners[eventName]));
+
+    if (device.model === null && this.snapshots.has(device.mac))
+    {
+      device.restore(this.snapshots.get(device.mac));
+    }
 
     this.listeners.set(device, listeners);
     this.unitToDevice.set(device.unit, device);
@@ -170,6 +503,7 @@ class Gateway extends EventEmitter
     Object.keys(listeners).forEach(eventName => device.removeListener(eventName, listeners[eventName]));
 
     this.listeners.delete(device);
+    this.deviceToConnection.delete(device);
     this.unitToDevice.delete(device.unit);
     this.macToDevice.delete(device.mac);
     this.devices.delete(device);
@@ -178,93 +512,665 @@ class Gateway extends EventEmitter
   }
 
   /**
-   * @param {Connection} connection
+   * Brings the devices and the connections in line with the specified declarative config:
+   *
+   *   - devices with MAC addresses not in the config, but added by a previous call, are removed,
+   *   - devices with a changed unit or options are replaced by new devices that inherit their state
+   *     (unless their type changed),
+   *   - connections not in the config, but added by a previous call, are removed and destroyed,
+   *   - connections with changed options are recreated.
+   *
+   * Devices and connections added with `addDevice()` and `addConnection()` are left alone, unless a device
+   * with the same MAC address is in the config. Nothing is changed if the config is invalid.
+   *
+   * @param {Object} config An object with the `devices` and `connections` arrays (see `config.validate()`).
+   * @returns {ConfigChanges}
+   * @throws {Error} If the config is invalid, a device can't be created with the specified options
+   * or its unit is already used by a different device or reserved for the gateway diagnostics.
+   * @fires Gateway#config:apply
    */
-  addConnection(connection)
+  applyConfig(config)
   {
-    if (this.connections.has(connection))
+    config = gatewayConfig.validate({
+      devices: config.devices,
+      connections: config.connections
+    });
+
+    const changes = {
+      devices: {added: [], removed: [], updated: []},
+      connections: {added: [], removed: [], updated: []}
+    };
+    const replacements = this.createDeviceReplacements(config.devices);
+    const configuredMacs = new Set(config.devices.map(deviceConfig => deviceConfig.mac));
+
+    this.configuredDevices.forEach((json, mac) =>
     {
-      return;
-    }
+      const device = this.macToDevice.get(mac);
 
-    const state = {
-      buffer: new buffers.BufferQueueReader(),
-      onData: this.onConnectionData.bind(this, connection),
-      destroy: () =>
+      if (configuredMacs.has(mac))
       {
-        state.buffer.skip(state.buffer.length);
-        state.buffer = null;
-
-        connection.removeListener('data', state.onData);
-        state.onData = null;
+        return;
       }
-    };
 
-    connection.on('data', state.onData);
+      this.configuredDevices.delete(mac);
 
-    this.connections.set(connection, state);
-  }
+      if (device)
+      {
+        this.removeDevice(device);
+        device.destroy();
 
-  /**
-   * @param {Connection} connection
-   */
-  removeConnection(connection)
-  {
-    const state = this.connections.get(connection);
+        changes.devices.removed.push({mac: device.mac, unit: device.unit});
+      }
+    });
 
-    if (!state)
+    replacements.forEach(replacement =>
     {
-      return;
-    }
+      if (replacement.previous)
+      {
+        replacement.connection = this.deviceToConnection.get(replacement.previous) || null;
 
-    state.destroy();
+        this.removeDevice(replacement.previous);
+      }
+    });
 
-    this.connections.delete(connection);
+    replacements.forEach(replacement =>
+    {
+      const device = replacement.device;
+      const previous = replacement.previous;
+
+      this.configuredDevices.set(device.mac, replacement.json);
+
+      if (!previous)
+      {
+        this.addDevice(device);
+
+        changes.devices.added.push({mac: device.mac, unit: device.unit});
+
+        return;
+      }
+
+      // A device of a different type decodes different data, so it starts over.
+      if (device.constructor === previous.constructor)
+      {
+        device.inherit(previous);
+      }
+
+      previous.destroy();
+
+      this.addDevice(device);
+
+      if (replacement.connection)
+      {
+        this.deviceToConnection.set(device, replacement.connection);
+      }
+
+      changes.devices.updated.push({mac: device.mac, unit: device.unit, previousUnit: previous.unit});
+    });
+
+    this.applyConnectionConfig(config.connections, changes.connections);
+
+    this.emit('config:apply', changes);
+
+    return changes;
   }
 
   /**
-   * @param {number} unit
-   * @param {Request} request
-   * @param {respondCallback} respond
+   * Saves snapshots of the states of all devices to the `stateFile`. If the state is already being saved,
+   * it's saved again after that (or, without the `done` callback, the call is skipped).
+   *
+   * @param {function(?Error)} [done]
    */
-  handleModbusRequest(unit, request, respond)
+  saveState(done)
   {
-    const device = this.unitToDevice.get(unit);
-
-    if (!device)
+    if (this.savingState)
     {
-      respond(modbus.ExceptionCode.IllegalDataAddress);
+      if (done)
+      {
+        this.queuedStateSaves.push(done);
+      }
 
       return;
     }
 
-    if (!device.isAvailable())
+    if (!done)
     {
-      respond(modbus.ExceptionCode.GatewayTargetDeviceFailedToRespond);
+      done = err =>
+      {
+        if (err)
+        {
+          this.emit('state:error', err);
+        }
+      };
+    }
+
+    if (!this.stateFile)
+    {
+      done(null);
 
       return;
     }
 
-    device.handleModbusRequest(request, respond);
+    this.savingState = true;
+
+    helpers.writeFileAtomically(this.stateFile, this.serializeSnapshots(), err =>
+    {
+      this.savingState = false;
+
+      done(err || null);
+
+      const queued = this.queuedStateSaves.splice(0);
+
+      if (queued.length)
+      {
+        this.saveState(err => queued.forEach(queuedDone => queuedDone(err)));
+      }
+    });
   }
 
   /**
-   * @param {AdvertisingReport} report
+   * Re-selects the best receivers of the devices and evaluates their alarm rules.
+   *
+   * @private
+   */
+  checkDevices()
+  {
+    this.devices.forEach(device =>
+    {
+      device.checkReceivers();
+      device.checkAlarms();
+    });
+  }
+
+  /**
+   * @private
+   * @throws {Error} If writing the file fails.
+   */
+  saveStateSync()
+  {
+    helpers.writeFileAtomicallySync(this.stateFile, this.serializeSnapshots());
+  }
+
+  /**
+   * @private
+   * @returns {string}
+   */
+  serializeSnapshots()
+  {
+    this.devices.forEach(device =>
+    {
+      const snapshot = device.toJSON();
+
+      if (snapshot.model !== null)
+      {
+        this.snapshots.set(device.mac, {
+          model: snapshot.model,
+          lastSeenAt: snapshot.lastSeenAt,
+          state: snapshot.state,
+          energy: snapshot.energy
+        });
+      }
+    });
+
+    const json = {};
+
+    this.snapshots.forEach((snapshot, mac) => { json[mac] = snapshot; });
+
+    return JSON.stringify(json);
+  }
+
+  /**
+   * @private
+   * @returns {Map<string, Object>}
+   * @throws {Error} If the state file exists, but doesn't contain a valid JSON object.
+   */
+  loadSnapshots()
+  {
+    const snapshots = new Map();
+
+    if (!this.stateFile)
+    {
+      return snapshots;
+    }
+
+    let json;
+
+    try
+    {
+      json = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+    }
+    catch (err)
+    {
+      if (err.code === 'ENOENT')
+      {
+        return snapshots;
+      }
+
+      throw new Error(`Failed to read the state file [${this.stateFile}]: ${err.message}`);
+    }
+
+    if (json === null || typeof json !== 'object' || Array.isArray(json))
+    {
+      throw new Error(`Invalid state file [${this.stateFile}]: expected an object of MAC addresses to snapshots.`);
+    }
+
+    Object.keys(json).forEach(mac => snapshots.set(helpers.prepareMacAddress(mac), json[mac]));
+
+    return snapshots;
+  }
+
+  /**
+   * Adds an iNode LAN connection or any other HCI data source (see `StreamSource`, `SerialSource`
+   * and `HciSocketSource`). The data of all the connections is merged. The `error` events of the connection
+   * are re-emitted as the `connection:error` events.
+   *
+   * @param {(Connection|HciSource)} connection
+   */
+  addConnection(connection)
+  {
+    if (this.connections.has(connection))
+    {
+      return;
+    }
+
+    const now = Date.now();
+    const state = {
+      id: this.getFreeConnectionId(),
+      buffer: new buffers.BufferQueueReader(),
+      hexEncoded: typeof connection.hexEncoded === 'boolean' ? connection.hexEncoded : this.hexEncoded,
+      hexRemainder: '',
+      resyncing: false,
+      wasOpen: connection.isOpen(),
+      openedAt: now,
+      stale: false,
+      stats: {
+        addedAt: now,
+        bytes: 0,
+        packets: 0,
+        advertisingReports: 0,
+        decodeErrors: 0,
+        lastDataAt: 0,
+        lastAdvertisingReportAt: 0,
+        reconnects: 0
+      },
+      onData: this.onConnectionData.bind(this, connection),
+      onOpen: this.onConnectionOpen.bind(this, connection),
+      onError: err => this.emit('connection:error', err, connection),
+      destroy: () =>
+      {
+        state.buffer.skip(state.buffer.length);
+        state.buffer = null;
+
+        connection.removeListener('data', state.onData);
+        connection.removeListener('open', state.onOpen);
+        connection.removeListener('error', state.onError);
+        state.onData = null;
+        state.onOpen = null;
+        state.onError = null;
+      }
+    };
+
+    connection.on('data', state.onData);
+    connection.on('open', state.onOpen);
+    connection.on('error', state.onError);
+
+    this.connections.set(connection, state);
+  }
+
+  /**
+   * @private
+   * @returns {number} The lowest connection ID (starting at 1) not used by any of the added connections,
+   * so that a re-added or re-created connection gets its ID (and its receiver registers) back.
+   */
+  getFreeConnectionId()
+  {
+    const usedIds = new Set();
+
+    this.connections.forEach(state => usedIds.add(state.id));
+
+    let id = 1;
+
+    while (usedIds.has(id))
+    {
+      id += 1;
+    }
+
+    return id;
+  }
+
+  /**
+   * @param {Connection} connection
+   */
+  removeConnection(connection)
+  {
+    const state = this.connections.get(connection);
+
+    if (!state)
+    {
+      return;
+    }
+
+    state.destroy();
+
+    this.connections.delete(connection);
+
+    this.deviceToConnection.forEach((c, d) =>
+    {
+      if (c === connection)
+      {
+        this.deviceToConnection.delete(d);
+      }
+    });
+  }
+
+  /**
+   * @param {number} unit
+   * @param {Request} request
+   * @param {respondCallback} respond
    */
-  handleAdvertisingReport(report)
+  handleModbusRequest(unit, request, respond)
   {
-    const device = this.macToDevice.get(report.address);
+    if (unit === this.diagnosticsUnit)
+    {
+      this.handleDiagnosticsRequest(request, respond);
+
+      return;
+    }
+
+    const device = this.unitToDevice.get(unit);
+
+    if (!device)
+    {
+      respond(modbus.ExceptionCode.IllegalDataAddress);
+
+      return;
+    }
+
+    if (!device.isAvailable())
+    {
+      respond(modbus.ExceptionCode.GatewayTargetDeviceFailedToRespond);
+
+      return;
+    }
+
+    device.handleModbusRequest(request, respond);
+  }
+
+  /**
+   * @param {AdvertisingReport} report
+   * @param {Connection} [connection] The connection that received the report.
+   */
+  handleAdvertisingReport(report, connection)
+  {
+    this.stats.advertisingReports += 1;
+    this.advertisingReportRate.increment();
+
+    if (connection)
+    {
+      this.handleConnectionAdvertisingReport(connection);
+    }
+
+    const device = this.macToDevice.get(report.address) || this.enrolDevice(report);
 
     if (device)
     {
-      device.handleAdvertisingReport(report);
+      let receiverId = 0;
+
+      if (connection)
+      {
+        this.deviceToConnection.set(device, connection);
+
+        receiverId = this.getConnectionId(connection) || 0;
+      }
+
+      device.handleAdvertisingReport(report, receiverId);
     }
     else
     {
+      this.stats.unknownDeviceReports += 1;
+
       this.handleUnknownDevice(report);
     }
   }
 
+  /**
+   * Creates and adds a new device for the specified report from an unknown device, if the auto enrolment is enabled
+   * and the device matches its filters.
+   *
+   * @private
+   * @param {AdvertisingReport} report
+   * @returns {?Device}
+   */
+  enrolDevice(report)
+  {
+    const autoEnrolment = this.autoEnrolment;
+
+    if (!autoEnrolment || !autoEnrolment.matches(report))
+    {
+      return null;
+    }
+
+    const unit = autoEnrolment.assign(
+      report.address,
+      unit => unit !== this.diagnosticsUnit && !this.unitToDevice.has(unit)
+    );
+
+    if (unit === null)
+    {
+      return null;
+    }
+
+    const device = new Device(report.address, unit, autoEnrolment.deviceOptions);
+
+    this.addDevice(device);
+    this.emit('device:discover', device, report);
+
+    return device;
+  }
+
+  /**
+   * Creates the devices that are new or have a changed unit or options. The unit conflicts are checked before
+   * anything is changed.
+   *
+   * @private
+   * @param {Array<DeviceConfig>} deviceConfigs
+   * @returns {Array<{device: Device, previous: ?Device, json: string, connection: ?Connection}>}
+   * @throws {Error} If a device can't be created or its unit is unavailable.
+   */
+  createDeviceReplacements(deviceConfigs)
+  {
+    const replacements = [];
+    const freedUnits = new Set();
+    const configuredMacs = new Set(deviceConfigs.map(deviceConfig => deviceConfig.mac));
+
+    this.configuredDevices.forEach((json, mac) =>
+    {
+      const device = this.macToDevice.get(mac);
+
+      if (device && !configuredMacs.has(mac))
+      {
+        freedUnits.add(device.unit);
+      }
+    });
+
+    deviceConfigs.forEach((deviceConfig, i) =>
+    {
+      const previous = this.macToDevice.get(deviceConfig.mac) || null;
+      const json = JSON.stringify({type: deviceConfig.type, options: deviceConfig.options});
+
+      if (previous && previous.unit === deviceConfig.unit && this.configuredDevices.get(previous.mac) === json)
+      {
+        return;
+      }
+
+      let device;
+
+      try
+      {
+        device = new DEVICE_CLASSES[deviceConfig.type](deviceConfig.mac, deviceConfig.unit, deviceConfig.options);
+      }
+      catch (err)
+      {
+        throw new Error(`Invalid config: devices[${i}]: ${err.message}`);
+      }
+
+      if (previous)
+      {
+        freedUnits.add(previous.unit);
+      }
+
+      replacements.push({device: device, previous: previous, json: json, connection: null});
+    });
+
+    replacements.forEach(replacement =>
+    {
+      const unit = replacement.device.unit;
+      const other = this.unitToDevice.get(unit);
+
+      if (unit === this.diagnosticsUnit)
+      {
+        throw new Error(`Device unit [${unit}] is reserved for the gateway diagnostics!`);
+      }
+
+      if (other && !freedUnits.has(unit))
+      {
+        throw new Error(`Device unit [${unit}] of [${replacement.device.mac}] is used by [${other.mac}]!`);
+      }
+    });
+
+    return replacements;
+  }
+
+  /**
+   * @private
+   * @param {Array<ConnectionConfig>} connectionConfigs
+   * @param {{added: Array<string>, removed: Array<string>, updated: Array<string>}} changes
+   */
+  applyConnectionConfig(connectionConfigs, changes)
+  {
+    const keys = new Set();
+
+    connectionConfigs.forEach(connectionConfig =>
+    {
+      const key = `${connectionConfig.host}:${connectionConfig.port}`;
+      const json = JSON.stringify(connectionConfig);
+      const configured = this.configuredConnections.get(key);
+
+      keys.add(key);
+
+      if (configured && configured.json === json && this.connections.has(configured.connection))
+      {
+        return;
+      }
+
+      if (configured)
+      {
+        this.removeConnection(configured.connection);
+        configured.connection.destroy();
+
+        changes.updated.push(key);
+      }
+      else
+      {
+        changes.added.push(key);
+      }
+
+      const connection = this.createConnection(connectionConfig);
+
+      this.configuredConnections.set(key, {connection: connection, json: json});
+      this.addConnection(connection);
+    });
+
+    this.configuredConnections.forEach((configured, key) =>
+    {
+      if (keys.has(key))
+      {
+        return;
+      }
+
+      this.configuredConnections.delete(key);
+      this.removeConnection(configured.connection);
+      configured.connection.destroy();
+
+      changes.removed.push(key);
+    });
+  }
+
+  /**
+   * @private
+   * @fires Gateway#connection:recovered
+   * @param {Connection} connection
+   */
+  handleConnectionAdvertisingReport(connection)
+  {
+    const state = this.connections.get(connection);
+
+    if (!state)
+    {
+      return;
+    }
+
+    state.stats.advertisingReports += 1;
+    state.stats.lastAdvertisingReportAt = Date.now();
+
+    if (state.stale)
+    {
+      state.stale = false;
+
+      this.emit('connection:recovered', connection);
+    }
+  }
+
+  /**
+   * Marks the open connections that didn't receive any advertising report within the `connectionStaleTimeout`
+   * (since the last report or since the connection was opened) as stale.
+   *
+   * @private
+   * @fires Gateway#connection:stale
+   */
+  checkConnections()
+  {
+    const now = Date.now();
+
+    this.connections.forEach((state, connection) =>
+    {
+      if (state.stale || !connection.isOpen())
+      {
+        return;
+      }
+
+      const lastActivityAt = Math.max(state.openedAt, state.stats.lastAdvertisingReportAt);
+
+      if (now - lastActivityAt > this.connectionStaleTimeout)
+      {
+        state.stale = true;
+
+        this.emit('connection:stale', connection);
+      }
+    });
+  }
+
+  /**
+   * @private
+   * @param {Connection} connection
+   */
+  onConnectionOpen(connection)
+  {
+    const state = this.connections.get(connection);
+
+    if (!state)
+    {
+      return;
+    }
+
+    if (state.wasOpen)
+    {
+      state.stats.reconnects += 1;
+    }
+
+    state.wasOpen = true;
+    state.openedAt = Date.now();
+  }
+
   /**
    * @private
    * @param {Connection} connection
@@ -279,55 +1185,510 @@ class Gateway extends EventEmitter
       return;
     }
 
-    if (this.hexEncoded)
+    state.stats.bytes += data.length;
+    state.stats.lastDataAt = Date.now();
+
+    if (state.hexEncoded)
     {
-      data = new Buffer(data.toString(), 'hex');
+      // Any other characters (e.g. line breaks or the text of the LAN monitor) break the hex stream, so each run
+      // of hex characters is decoded separately and its odd character is dropped. Only the last run may continue
+      // in the next chunk (a chunk may end in the middle of a hex encoded byte), so its odd character is kept.
+      const runs = data.toString().split(/[^0-9A-Fa-f]+/);
+      const lastRun = runs.length - 1;
+
+      runs[0] = state.hexRemainder + runs[0];
+      state.hexRemainder = runs[lastRun].length % 2 ? runs[lastRun].substring(runs[lastRun].length - 1) : '';
+
+      data = new Buffer(runs.map(run => run.substring(0, run.length - run.length % 2)).join(''), 'hex');
     }
 
-    state.buffer.push(data);
+    if (data.length)
+    {
+      state.buffer.push(data);
+    }
 
-    this.decodeHciPacket(state.buffer);
+    this.decodeHciPackets(connection, state);
   }
 
   /**
+   * Decodes all the complete H4 framed HCI packets from the connection buffer. Partial packets are kept
+   * in the buffer until the rest of their bytes arrive. Invalid bytes are skipped until the start
+   * of a plausible LE Advertising Report event is found.
+   *
    * @private
-   * @param {BufferQueueReader} bufferReader
+   * @fires Gateway#hci:packet
+   * @param {Connection} connection
+   * @param {ConnectionState} state
    */
-  decodeHciPacket(bufferReader)
+  decodeHciPackets(connection, state)
   {
-    // TODO: change to readBuffer() and skip() when the h5.bluetooth.hci has all the required decoders
-    const buffer = bufferReader.shiftBuffer(bufferReader.length);
-    const hciPacket = btHci.decode(buffer);
+    const bufferReader = state.buffer;
+
+    while (bufferReader.length > 0)
+    {
+      const packetLength = getHciPacketLength(bufferReader, state.resyncing);
+
+      if (packetLength === -1)
+      {
+        if (!state.resyncing)
+        {
+          state.resyncing = true;
+
+          this.handleHciDecodeError(
+            connection,
+            new Error(`Invalid HCI packet type: 0x${bufferReader.readByte(0).toString(16).toUpperCase()}`)
+          );
+        }
+
+        bufferReader.skip(1);
+
+        continue;
+      }
+
+      if (packetLength === 0 || bufferReader.length < packetLength)
+      {
+        break;
+      }
+
+      const packet = bufferReader.readBuffer(0, packetLength);
+
+      if (this.decodeHciPacket(connection, packet) || !state.resyncing)
+      {
+        bufferReader.skip(packetLength);
+
+        state.resyncing = false;
+        state.stats.packets += 1;
+
+        this.emit('hci:packet', packet, connection);
+      }
+      else
+      {
+        // The packet type indicator found after invalid bytes might be a part of the garbage,
+        // so only that byte is skipped.
+        bufferReader.skip(1);
+      }
+    }
+  }
+
+  /**
+   * @private
+   * @param {Connection} connection
+   * @param {Buffer} buffer
+   * @returns {boolean} Whether the packet was decoded.
+   */
+  decodeHciPacket(connection, buffer)
+  {
+    if (buffer[0] !== H4_EVENT)
+    {
+      return true;
+    }
+
+    let hciPacket;
+
+    try
+    {
+      hciPacket = btHci.decode(buffer);
+    }
+    catch (err)
+    {
+      this.handleHciDecodeError(connection, err);
+
+      return false;
+    }
 
     if (hciPacket.type === btHci.PacketType.Event
       && hciPacket.eventCode === btHci.EventCode.LeMeta
       && hciPacket.parameters.leSubeventCode === btHci.LeSubeventCode.AdvertisingReport)
     {
-      this.handleHciAdvertisingReportEvent(hciPacket);
+      this.handleHciAdvertisingReportEvent(connection, hciPacket, buffer);
     }
+
+    return true;
   }
 
   /**
    * @private
+   * @param {Connection} connection
+   * @param {Error} err
+   * @fires Gateway#hci:error
+   */
+  handleHciDecodeError(connection, err)
+  {
+    this.stats.hciDecodeErrors += 1;
+
+    const state = this.connections.get(connection);
+
+    if (state)
+    {
+      state.stats.decodeErrors += 1;
+    }
+
+    this.emit('hci:error', err, connection);
+  }
+
+  /**
+   * @private
+   * @param {Connection} connection
    * @param {HciAdvertisingReportEvent} hciPacket
+   * @param {Buffer} buffer
+   */
+  handleHciAdvertisingReportEvent(connection, hciPacket, buffer)
+  {
+    const reports = hciPacket.parameters.reports;
+
+    // The fields of multiple reports are grouped by the field, not by the report,
+    // so only the bytes of a single report are located.
+    if (reports.length === 1)
+    {
+      attachManufacturerSpecificDataPayload(reports[0], buffer);
+    }
+
+    reports.forEach(r => this.handleAdvertisingReport(r, connection));
+  }
+
+  /**
+   * @private
+   * @param {Request} request
+   * @param {respondCallback} respond
+   */
+  handleDiagnosticsRequest(request, respond)
+  {
+    if (request.functionCode !== modbus.FunctionCode.ReadHoldingRegisters
+      && request.functionCode !== modbus.FunctionCode.ReadInputRegisters)
+    {
+      respond(modbus.ExceptionCode.IllegalFunctionCode);
+
+      return;
+    }
+
+    const buffer = this.createDiagnosticsBuffer();
+
+    if (request.startingIndex > buffer.length - 1 || request.endingIndex > buffer.length)
+    {
+      respond(modbus.ExceptionCode.IllegalDataAddress);
+
+      return;
+    }
+
+    respond({
+      data: buffer.slice(request.startingIndex, request.endingIndex)
+    });
+  }
+
+  /**
+   * @private
+   * @returns {Buffer}
    */
-  handleHciAdvertisingReportEvent(hciPacket)
+  createDiagnosticsBuffer()
   {
-    hciPacket.parameters.reports.forEach(r => this.handleAdvertisingReport(r));
+    const buffer = new Buffer(DIAGNOSTICS_REGISTER_COUNT * 2).fill(0);
+    const stats = this.stats;
+    let availableDevices = 0;
+    let openConnections = 0;
+    let connectionBits = 0;
+
+    this.devices.forEach(device =>
+    {
+      setBit(buffer, 32, device.unit);
+
+      if (device.isAvailable())
+      {
+        availableDevices += 1;
+
+        setBit(buffer, 64, device.unit);
+      }
+    });
+
+    Array.from(this.connections.keys()).forEach((connection, i) =>
+    {
+      if (connection.isOpen())
+      {
+        openConnections += 1;
+
+        if (i < 16)
+        {
+          connectionBits |= 1 << i;
+        }
+      }
+    });
+
+    buffer.writeUInt16BE(Math.min(this.devices.size, 0xFFFF), 0, true);
+    buffer.writeUInt16BE(availableDevices, 2, true);
+    buffer.writeUInt16BE(Math.min(this.connections.size, 0xFFFF), 4, true);
+    buffer.writeUInt16BE(openConnections, 6, true);
+    buffer.writeUInt32BE(Math.round(this.advertisingReportRate.getRate() * 100), 8, true);
+    buffer.writeUInt32BE(stats.advertisingReports % 0x100000000, 12, true);
+    buffer.writeUInt32BE(stats.unknownDeviceReports % 0x100000000, 16, true);
+    buffer.writeUInt32BE(stats.hciDecodeErrors % 0x100000000, 20, true);
+    buffer.writeUInt32BE(Math.floor((Date.now() - stats.startedAt) / 1000), 24, true);
+    buffer.writeUInt16BE(connectionBits, 28, true);
+
+    return buffer;
+  }
+
+  /**
+   * Sends the specified command through the connection with the strongest RSSI of the device
+   * (or the connection that last heard it).
+   *
+   * @private
+   * @param {Device} device
+   * @param {DeviceCommand} command
+   * @param {function(?ExceptionCode)} done
+   */
+  deliverCommand(device, command, done)
+  {
+    if (!this.encodeCommand)
+    {
+      done(modbus.ExceptionCode.IllegalFunctionCode);
+
+      return;
+    }
+
+    const connection = this.getDeviceConnection(device);
+
+    if (!connection || !connection.isOpen() || connection.writable === false)
+    {
+      done(modbus.ExceptionCode.GatewayPathUnavailable);
+
+      return;
+    }
+
+    let data;
+
+    try
+    {
+      data = this.encodeCommand(device, command);
+    }
+    catch (err)
+    {
+      done(modbus.ExceptionCode.SlaveDeviceFailure);
+
+      return;
+    }
+
+    if (this.connections.get(connection).hexEncoded)
+    {
+      data = new Buffer(data.toString('hex').toUpperCase());
+    }
+
+    connection.write(data);
+
+    done(null);
   }
 }
 
 module.exports = Gateway;
 
+/**
+ * Sets the bit of the specified unit in a 256-bit (16 registers) bitmap.
+ *
+ * @private
+ * @param {Buffer} buffer
+ * @param {number} offset
+ * @param {number} unit
+ */
+function setBit(buffer, offset, unit)
+{
+  const i = offset + Math.floor(unit / 16) * 2;
+
+  buffer.writeUInt16BE(buffer.readUInt16BE(i, true) | (1 << (unit % 16)), i, true);
+}
+
+/**
+ * @private
+ * @param {BufferQueueReader} bufferReader
+ * @param {boolean} resyncing Whether invalid bytes are being skipped, in which case only a plausible
+ * LE Advertising Report event is accepted as the start of a packet.
+ * @returns {number} A length of the H4 framed HCI packet at the start of the specified buffer,
+ * `0` if the packet header is incomplete or `-1` if the first byte is not a valid packet type indicator
+ * (or the start of a plausible event when resyncing).
+ */
+function getHciPacketLength(bufferReader, resyncing)
+{
+  const length = bufferReader.length;
+  const packetType = bufferReader.readByte(0);
+
+  if (resyncing && packetType !== H4_EVENT)
+  {
+    return -1;
+  }
+
+  switch (packetType)
+  {
+    case H4_EVENT:
+      if (!resyncing)
+      {
+        return length < 3 ? 0 : 3 + bufferReader.readByte(2);
+      }
+
+      if (length < 5)
+      {
+        return 0;
+      }
+
+      return isPlausibleAdvertisingReportEvent(bufferReader) ? 3 + bufferReader.readByte(2) : -1;
+
+    case H4_COMMAND:
+    case H4_SYNCHRONOUS_DATA:
+      return length < 4 ? 0 : 4 + bufferReader.readByte(3);
+
+    case H4_ACL_DATA:
+      if (length < 5)
+      {
+        return 0;
+      }
+
+      return bufferReader.readUInt16(3, true) > MAX_ACL_DATA_LENGTH ? -1 : 5 + bufferReader.readUInt16(3, true);
+
+    default:
+      return -1;
+  }
+}
+
+/**
+ * @private
+ * @param {BufferQueueReader} bufferReader At least 5 bytes starting with the H4 event packet type indicator.
+ * @returns {boolean} Whether the header of the event is a header of an LE Advertising Report event with
+ * the parameters long enough for the number of the reports.
+ */
+function isPlausibleAdvertisingReportEvent(bufferReader)
+{
+  const parametersLength = bufferReader.readByte(2);
+  const reportCount = bufferReader.readByte(4);
+
+  return bufferReader.readByte(1) === btHci.EventCode.LeMeta
+    && bufferReader.readByte(3) === btHci.LeSubeventCode.AdvertisingReport
+    && reportCount > 0
+    && reportCount <= MAX_ADVERTISING_REPORTS
+    && parametersLength >= 2 + reportCount * MIN_ADVERTISING_REPORT_LENGTH;
+}
+
+/**
+ * Attaches the bytes of the manufacturer specific data (with the company identifier) of the specified report
+ * to its decoded data structure as the `payload` buffer, as the decoders (e.g. of the iNode models)
+ * don't have to keep them.
+ *
+ * @private
+ * @param {AdvertisingReport} report
+ * @param {Buffer} buffer The H4 framed LE Advertising Report event with the single specified report.
+ */
+function attachManufacturerSpecificDataPayload(report, buffer)
+{
+  const msd = (report.data || []).find(eirDataStructure =>
+    eirDataStructure.type === btHci.EirDataType.ManufacturerSpecificData
+  );
+
+  if (!msd || buffer.length <= ADVERTISING_REPORT_DATA_OFFSET)
+  {
+    return;
+  }
+
+  const end = Math.min(buffer.length, ADVERTISING_REPORT_DATA_OFFSET + buffer[ADVERTISING_REPORT_DATA_OFFSET - 1]);
+  let offset = ADVERTISING_REPORT_DATA_OFFSET;
+
+  while (offset + 1 < end && buffer[offset] !== 0)
+  {
+    if (buffer[offset + 1] === btHci.EirDataType.ManufacturerSpecificData)
+    {
+      msd.payload = buffer.slice(offset + 2, Math.min(offset + 1 + buffer[offset], end));
+
+      return;
+    }
+
+    offset += 1 + buffer[offset];
+  }
+}
+
 /**
  * @typedef {Object} GatewayOptions
- * @property {boolean} [hexEncoded=true]
+ * @property {boolean} [hexEncoded=true] Whether the data of the connections is hex encoded. Overridden by
+ * the `hexEncoded` property of a connection.
  * @property {function(AdvertisingReport)} [unknownDeviceHandler]
+ * @property {function(Device, DeviceCommand): Buffer} [commandEncoder] Encodes the commands created
+ * from the MODBUS writes into the data written to a connection. Without it, the writes are rejected.
+ * @property {number} [diagnosticsUnit] A MODBUS unit reserved for the gateway diagnostics registers.
+ * @property {AutoEnrolmentOptions} [autoEnrolment] Enables creating devices for reports from unknown iNode devices.
+ * @property {string} [stateFile] A path to a JSON file the device states are saved to and restored from.
+ * @property {number} [stateSaveInterval=60000] How often the device states are saved to the `stateFile`.
+ * @property {number} [alarmCheckInterval=1000] How often the alarm rules of the devices are evaluated
+ * if no advertising reports are received and their timed out best receivers are re-selected.
+ * @property {number} [connectionStaleTimeout=60000] Time since the last advertising report received through
+ * an open connection after which the connection is considered stale (`0` disables the supervision).
+ * @property {number} [connectionCheckInterval=1000] How often the connections are checked for staleness.
+ * @property {function(ConnectionConfig): Connection} [connectionFactory] Creates the connections
+ * for `applyConfig()` (defaults to `Gateway.createConnection`).
+ */
+
+/**
+ * @typedef {Object} ConfigChanges
+ * @property {{added: Array<DeviceChange>, removed: Array<DeviceChange>, updated: Array<DeviceChange>}} devices
+ * @property {{added: Array<string>, removed: Array<string>, updated: Array<string>}} connections
+ * The `host:port` keys of the changed connections.
+ */
+
+/**
+ * @typedef {Object} DeviceChange
+ * @property {string} mac
+ * @property {number} unit
+ * @property {number} [previousUnit] The unit before the update.
+ */
+
+/**
+ * An HCI data source that can be added to the `Gateway` like an iNode LAN connection.
+ *
+ * @typedef {Object} HciSource
+ * @property {boolean} [hexEncoded] Whether the emitted data is hex encoded (defaults to the `Gateway` option).
+ * @property {boolean} [writable] Whether the device commands can be written to the source (defaults to `true`).
+ * @property {function(): boolean} isOpen
+ * @property {function(Buffer)} write
+ * @property {function()} destroy
+ * @property {function(string, function)} on
+ * @property {function(string, function)} removeListener
+ */
+
+/**
+ * @typedef {Object} GatewayStats
+ * @property {number} startedAt
+ * @property {number} advertisingReports
+ * @property {number} unknownDeviceReports
+ * @property {number} hciDecodeErrors
  */
 
 /**
  * @typedef {Object} ConnectionState
+ * @property {number} id
  * @property {BufferQueueReader} buffer
+ * @property {boolean} hexEncoded Whether the connection data is hex encoded.
+ * @property {string} hexRemainder An odd hex character at the end of the last data chunk.
+ * @property {boolean} resyncing Whether invalid bytes were skipped since the last valid packet.
+ * @property {boolean} wasOpen Whether the connection was open at least once since it was added.
+ * @property {number} openedAt The time the connection was added or last opened.
+ * @property {boolean} stale
+ * @property {ConnectionStats} stats
  * @property {function(Connection, Buffer)} onData
+ * @property {function(Connection)} onOpen
+ * @property {function(Error)} onError
  * @property {function()} destroy
  */
+
+/**
+ * @typedef {Object} ConnectionStats
+ * @property {number} addedAt The time the connection was added to the gateway.
+ * @property {number} bytes The number of bytes received (before the hex decoding).
+ * @property {number} packets The number of HCI packets framed.
+ * @property {number} advertisingReports
+ * @property {number} decodeErrors
+ * @property {number} lastDataAt The time the last data was received or `0`.
+ * @property {number} lastAdvertisingReportAt The time the last advertising report was received or `0`.
+ * @property {number} reconnects The number of times the connection was reopened.
+ */
+
+/**
+ * @typedef {Object} ConnectionInfo
+ * @property {number} id
+ * @property {(Connection|HciSource)} connection
+ * @property {boolean} open
+ * @property {boolean} stale Whether the connection is open, but didn't receive any advertising report
+ * within the `connectionStaleTimeout`.
+ * @property {ConnectionStats} stats A copy of the connection statistics.
+ */
@@ -0,0 +1,175 @@
+// Part of <http://miracle.systems/p/h5.modbus.inode> licensed under <MIT>
+
+'use strict';
+
+const fs = require('fs');
+const EventEmitter = require('events').EventEmitter;
+const btsnoop = require('./btsnoop');
+
+/**
+ * Records the HCI packets received by a `Gateway` to a btsnoop file, which can be replayed with
+ * the `ReplaySource` or opened in Wireshark.
+ */
+class HciRecorder extends EventEmitter
+{
+  /**
+   * @param {Gateway} gateway
+   * @param {HciRecorderOptions} options
+   * @throws {Error} If the `file` option is not specified.
+   */
+  constructor(gateway, options)
+  {
+    super();
+
+    if (!options || !options.file)
+    {
+      throw new Error('The `file` option is required.');
+    }
+
+    /**
+     * @private
+     * @type {Gateway}
+     */
+    this.gateway = gateway;
+
+    /**
+     * @private
+     * @type {string}
+     */
+    this.file = options.file;
+
+    /**
+     * @private
+     * @type {?(Connection|HciSource)}
+     */
+    this.connection = options.connection || null;
+
+    /**
+     * @private
+     * @type {?WriteStream}
+     */
+    this.stream = null;
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.packetCount = 0;
+
+    /**
+     * @private
+     * @type {function(this:HciRecorder, Buffer, (Connection|HciSource))}
+     */
+    this.onPacket = this.onPacket.bind(this);
+
+    /**
+     * @private
+     * @type {function(this:HciRecorder, Error)}
+     */
+    this.onStreamError = this.onStreamError.bind(this);
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  isRecording()
+  {
+    return this.stream !== null;
+  }
+
+  /**
+   * @returns {number} The number of packets recorded since the recording was started.
+   */
+  getPacketCount()
+  {
+    return this.packetCount;
+  }
+
+  /**
+   * Creates (or truncates) the file and starts recording.
+   */
+  start()
+  {
+    if (this.stream)
+    {
+      return;
+    }
+
+    this.packetCount = 0;
+    this.stream = fs.createWriteStream(this.file);
+    this.stream.on('error', this.onStreamError);
+    this.stream.write(btsnoop.encodeHeader());
+
+    this.gateway.on('hci:packet', this.onPacket);
+  }
+
+  /**
+   * Stops recording and closes the file.
+   *
+   * @param {function()} [done]
+   */
+  stop(done)
+  {
+    if (!this.stream)
+    {
+      if (done)
+      {
+        setImmediate(done);
+      }
+
+      return;
+    }
+
+    this.gateway.removeListener('hci:packet', this.onPacket);
+
+    const stream = this.stream;
+
+    this.stream = null;
+
+    stream.end(done);
+  }
+
+  /**
+   * Stops recording after the file can't be written and emits the error as the `record:error` event.
+   *
+   * @private
+   * @param {Error} err
+   */
+  onStreamError(err)
+  {
+    if (this.stream)
+    {
+      this.gateway.removeListener('hci:packet', this.onPacket);
+      this.stream.destroy();
+      this.stream = null;
+    }
+
+    this.emit('record:error', err);
+  }
+
+  /**
+   * @private
+   * @param {Buffer} packet
+   * @param {(Connection|HciSource)} connection
+   */
+  onPacket(packet, connection)
+  {
+    if (this.connection !== null && connection !== this.connection)
+    {
+      return;
+    }
+
+    this.packetCount += 1;
+
+    this.stream.write(btsnoop.encodeRecord(packet, Date.now()));
+  }
+}
+
+module.exports = HciRecorder;
+
+/**
+ * @typedef {Object} HciRecorderOptions
+ * @property {string} file A path of the btsnoop file.
+ * @property {(Connection|HciSource)} [connection] Record only the packets received through the specified
+ * connection (all the connections by default).
+ */
@@ -0,0 +1,217 @@
+// Part of <http://miracle.systems/p/h5.modbus.inode> licensed under <MIT>
+
+'use strict';
+
+const EventEmitter = require('events').EventEmitter;
+const scanCommands = require('./scanCommands');
+
+/**
+ * An HCI data source reading from a local Bluetooth controller through a Linux HCI user channel socket.
+ * The controller must be down (`hciconfig hci0 down`) and the process needs the `CAP_NET_ADMIN` capability.
+ */
+class HciSocketSource extends EventEmitter
+{
+  /**
+   * @param {HciSocketSourceOptions} [options]
+   * @throws {Error} If the `socket` isn't specified and the `@abandonware/bluetooth-hci-socket` package
+   * is not installed.
+   */
+  constructor(options)
+  {
+    super();
+
+    if (!options)
+    {
+      options = {};
+    }
+
+    /**
+     * @readonly
+     * @type {boolean}
+     */
+    this.hexEncoded = false;
+
+    /**
+     * @readonly
+     * @type {boolean}
+     */
+    this.writable = false;
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.deviceId = options.deviceId || 0;
+
+    /**
+     * @private
+     * @type {Array<Buffer>}
+     */
+    this.scanCommands = scanCommands.create(options.scan);
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.commandDelay = options.commandDelay || 100;
+
+    /**
+     * @private
+     * @type {*}
+     */
+    this.commandTimer = null;
+
+    /**
+     * @private
+     * @type {boolean}
+     */
+    this.open = false;
+
+    /**
+     * @private
+     * @type {?BluetoothHciSocket}
+     */
+    this.socket = options.socket || createSocket();
+
+    /**
+     * @private
+     * @type {Object<string, function>}
+     */
+    this.socketListeners = {
+      data: this.emit.bind(this, 'data'),
+      error: this.emit.bind(this, 'error')
+    };
+
+    Object.keys(this.socketListeners).forEach(eventName => this.socket.on(eventName, this.socketListeners[eventName]));
+  }
+
+  /**
+   * Binds the socket to the controller and starts the LE scanning.
+   *
+   * @throws {Error} If binding the socket fails.
+   */
+  start()
+  {
+    if (this.open)
+    {
+      return;
+    }
+
+    this.socket.bindUser(this.deviceId);
+    this.socket.start();
+
+    this.open = true;
+
+    this.emit('open');
+
+    this.writeScanCommand(0);
+  }
+
+  destroy()
+  {
+    if (!this.socket)
+    {
+      return;
+    }
+
+    clearTimeout(this.commandTimer);
+    this.commandTimer = null;
+
+    if (this.open)
+    {
+      this.socket.write(scanCommands.createStop());
+      this.socket.stop();
+
+      this.open = false;
+
+      this.emit('close');
+    }
+
+    Object.keys(this.socketListeners).forEach(eventName =>
+    {
+      this.socket.removeListener(eventName, this.socketListeners[eventName]);
+    });
+
+    this.socket = null;
+
+    this.removeAllListeners();
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  isOpen()
+  {
+    return this.open;
+  }
+
+  /**
+   * @throws {Error} Always, because the device commands can't be delivered through a local controller.
+   */
+  write()
+  {
+    throw new Error('The source is not writable.');
+  }
+
+  /**
+   * @private
+   * @param {number} i
+   */
+  writeScanCommand(i)
+  {
+    this.commandTimer = null;
+
+    if (!this.open || i === this.scanCommands.length)
+    {
+      return;
+    }
+
+    this.socket.write(this.scanCommands[i]);
+
+    this.commandTimer = setTimeout(this.writeScanCommand.bind(this), this.commandDelay, i + 1);
+  }
+}
+
+module.exports = HciSocketSource;
+
+/**
+ * @private
+ * @returns {BluetoothHciSocket}
+ * @throws {Error} If the `@abandonware/bluetooth-hci-socket` package is not installed.
+ */
+function createSocket()
+{
+  let BluetoothHciSocket;
+
+  try
+  {
+    BluetoothHciSocket = require('@abandonware/bluetooth-hci-socket');
+  }
+  catch (err)
+  {
+    throw new Error('The `@abandonware/bluetooth-hci-socket` package is required to open an HCI socket.');
+  }
+
+  return new BluetoothHciSocket();
+}
+
+/**
+ * @typedef {Object} HciSocketSourceOptions
+ * @property {number} [deviceId=0] The HCI device number, e.g. `0` for `hci0`.
+ * @property {BluetoothHciSocket} [socket] An already created socket.
+ * @property {ScanOptions} [scan]
+ * @property {number} [commandDelay=100] The number of milliseconds between the scan commands.
+ */
+
+/**
+ * A socket compatible with the `@abandonware/bluetooth-hci-socket` package. Emits the H4 framed HCI packets
+ * as the `data` events.
+ *
+ * @typedef {Object} BluetoothHciSocket
+ * @property {function(number)} bindUser
+ * @property {function()} start
+ * @property {function()} stop
+ * @property {function(Buffer)} write
+ * @property {function(string, function)} on
+ * @property {function(string, function)} removeListener
+ */
@@ -0,0 +1,209 @@
+// Part of <http://miracle.systems/p/h5.modbus.inode> licensed under <MIT>
+
+'use strict';
+
+const DEFAULT_PROPERTIES = ['temperature', 'humidity', 'pressure', 'average', 'rssi'];
+const DEFAULT_WINDOWS = [5 * 60 * 1000, 60 * 60 * 1000];
+const DEFAULT_MAX_SAMPLES = 10000;
+
+class History
+{
+  /**
+   * @param {HistoryOptions} [options]
+   * @throws {Error} If any of the specified `windows` is longer than the `retention`.
+   */
+  constructor(options)
+  {
+    if (!options)
+    {
+      options = {};
+    }
+
+    /**
+     * @readonly
+     * @type {Array<string>}
+     */
+    this.properties = Array.isArray(options.properties) ? options.properties.slice() : DEFAULT_PROPERTIES.slice();
+
+    /**
+     * @readonly
+     * @type {Array<number>}
+     */
+    this.windows = Array.isArray(options.windows) ? options.windows.slice() : DEFAULT_WINDOWS.slice();
+
+    /**
+     * @readonly
+     * @type {number}
+     */
+    this.retention = options.retention || Math.max.apply(null, this.windows);
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.maxSamples = options.maxSamples || DEFAULT_MAX_SAMPLES;
+
+    /**
+     * @private
+     * @type {Map<string, Array<HistorySample>>}
+     */
+    this.samples = new Map();
+
+    this.windows.forEach(window =>
+    {
+      if (!(window > 0) || window > this.retention)
+      {
+        throw new Error(`Invalid history window: ${window}. Expected a number between 1 and ${this.retention}.`);
+      }
+    });
+
+    this.properties.forEach(property => this.samples.set(property, []));
+  }
+
+  /**
+   * @param {string} property
+   * @param {*} value Ignored if not a number.
+   * @param {number} [time=Date.now()]
+   */
+  add(property, value, time)
+  {
+    const samples = this.samples.get(property);
+
+    if (!samples || typeof value !== 'number' || isNaN(value))
+    {
+      return;
+    }
+
+    if (!time)
+    {
+      time = Date.now();
+    }
+
+    samples.push({time: time, value: value});
+
+    this.prune(samples, time);
+  }
+
+  /**
+   * @param {string} property
+   * @param {number} [since=0]
+   * @param {number} [until=Infinity]
+   * @returns {Array<HistorySample>}
+   */
+  query(property, since, until)
+  {
+    const samples = this.samples.get(property) || [];
+    const from = since || 0;
+    const to = until || Infinity;
+
+    this.prune(samples, Date.now());
+
+    return samples.filter(sample => sample.time >= from && sample.time <= to).map(s => ({time: s.time, value: s.value}));
+  }
+
+  /**
+   * @param {string} property
+   * @param {number} window The number of milliseconds before now.
+   * @returns {HistoryStats}
+   */
+  aggregate(property, window)
+  {
+    const samples = this.query(property, Date.now() - window);
+    const stats = {
+      count: samples.length,
+      min: null,
+      max: null,
+      mean: null
+    };
+
+    if (samples.length === 0)
+    {
+      return stats;
+    }
+
+    let sum = 0;
+
+    stats.min = Infinity;
+    stats.max = -Infinity;
+
+    samples.forEach(sample =>
+    {
+      stats.min = Math.min(stats.min, sample.value);
+      stats.max = Math.max(stats.max, sample.value);
+
+      sum += sample.value;
+    });
+
+    stats.mean = sum / samples.length;
+
+    return stats;
+  }
+
+  /**
+   * @returns {Object<string, Array<HistoryStats>>} Stats of each property for each window (in the order
+   * of the `windows`).
+   */
+  aggregateAll()
+  {
+    const result = {};
+
+    this.properties.forEach(property =>
+    {
+      result[property] = this.windows.map(window => this.aggregate(property, window));
+    });
+
+    return result;
+  }
+
+  clear()
+  {
+    this.samples.forEach(samples => { samples.length = 0; });
+  }
+
+  /**
+   * @private
+   * @param {Array<HistorySample>} samples
+   * @param {number} now
+   */
+  prune(samples, now)
+  {
+    const minTime = now - this.retention;
+    let count = Math.max(0, samples.length - this.maxSamples);
+
+    while (count < samples.length && samples[count].time < minTime)
+    {
+      count += 1;
+    }
+
+    if (count > 0)
+    {
+      samples.splice(0, count);
+    }
+  }
+}
+
+module.exports = History;
+
+/**
+ * @typedef {Object} HistoryOptions
+ * @property {Array<string>} [properties] State properties to keep the history of. Defaults to `temperature`,
+ * `humidity`, `pressure`, `average` and `rssi`.
+ * @property {Array<number>} [windows] Lengths of the aggregation windows in milliseconds. Defaults to 5 minutes
+ * and 1 hour.
+ * @property {number} [retention] How long the samples are kept in milliseconds. Defaults to the longest window.
+ * @property {number} [maxSamples=10000] The maximum number of samples kept per property.
+ */
+
+/**
+ * @typedef {Object} HistorySample
+ * @property {number} time
+ * @property {number} value
+ */
+
+/**
+ * @typedef {Object} HistoryStats
+ * @property {number} count
+ * @property {?number} min
+ * @property {?number} max
+ * @property {?number} mean
+ */
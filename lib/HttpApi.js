@@ -0,0 +1,375 @@
+// Part of <http://miracle.systems/p/h5.modbus.inode> licensed under <MIT>
+
+'use strict';
+
+const http = require('http');
+const url = require('url');
+const EventEmitter = require('events').EventEmitter;
+const helpers = require('./helpers');
+
+const STREAMED_EVENTS = ['device:add', 'device:remove', 'device:change'];
+
+/**
+ * A read-only HTTP server exposing the devices and connections of a `Gateway` as JSON and their changes as events.
+ */
+class HttpApi extends EventEmitter
+{
+  /**
+   * @param {Gateway} gateway
+   * @param {HttpApiOptions} [options]
+   */
+  constructor(gateway, options)
+  {
+    super();
+
+    if (!options)
+    {
+      options = {};
+    }
+
+    /**
+     * @private
+     * @type {Gateway}
+     */
+    this.gateway = gateway;
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.port = options.port != null ? options.port : 8080;
+
+    /**
+     * @private
+     * @type {?string}
+     */
+    this.host = options.host || null;
+
+    /**
+     * @private
+     * @type {?string}
+     */
+    this.allowOrigin = options.allowOrigin || null;
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.keepAliveInterval = options.keepAliveInterval || 15000;
+
+    /**
+     * Responses of the connected event stream clients.
+     *
+     * @private
+     * @type {Set<http.ServerResponse>}
+     */
+    this.clients = new Set();
+
+    /**
+     * @private
+     * @type {*}
+     */
+    this.keepAliveTimer = null;
+
+    /**
+     * @private
+     * @type {Object<string, function>}
+     */
+    this.gatewayListeners = {
+      'device:add': device => this.broadcast('device:add', device.toJSON()),
+      'device:remove': device => this.broadcast('device:remove', {mac: device.mac, unit: device.unit}),
+      'device:change': (device, changes) => this.broadcast('device:change', {
+        mac: device.mac,
+        unit: device.unit,
+        changes: changes
+      })
+    };
+
+    /**
+     * @private
+     * @type {http.Server}
+     */
+    this.server = http.createServer(this.handleRequest.bind(this));
+
+    /**
+     * Re-emits the server errors that happen after the server started listening.
+     *
+     * @private
+     * @type {function(Error)}
+     */
+    this.onServerError = this.emit.bind(this, 'error');
+  }
+
+  /**
+   * Starts listening for HTTP requests and streaming the gateway events. A failure to start listening is passed
+   * to the `done` callback (or emitted as the `error` event, if there is no callback).
+   *
+   * @param {function(?Error)} [done]
+   */
+  listen(done)
+  {
+    STREAMED_EVENTS.forEach(eventName => this.gateway.on(eventName, this.gatewayListeners[eventName]));
+
+    this.keepAliveTimer = setInterval(this.keepAlive.bind(this), this.keepAliveInterval);
+    this.keepAliveTimer.unref();
+
+    const onError = err =>
+    {
+      this.close();
+
+      if (done)
+      {
+        done(err);
+      }
+      else
+      {
+        this.emit('error', err);
+      }
+    };
+
+    this.server.once('error', onError);
+    this.server.listen(this.port, this.host, () =>
+    {
+      this.server.removeListener('error', onError);
+      this.server.on('error', this.onServerError);
+
+      if (done)
+      {
+        done(null);
+      }
+    });
+  }
+
+  /**
+   * Ends all the event streams and stops listening for HTTP requests.
+   *
+   * @param {function(?Error)} [done]
+   */
+  close(done)
+  {
+    STREAMED_EVENTS.forEach(eventName => this.gateway.removeListener(eventName, this.gatewayListeners[eventName]));
+
+    clearInterval(this.keepAliveTimer);
+    this.keepAliveTimer = null;
+
+    this.clients.forEach(res => res.end());
+    this.clients.clear();
+
+    this.server.removeListener('error', this.onServerError);
+
+    if (!this.server.address())
+    {
+      if (done)
+      {
+        setImmediate(done, null);
+      }
+
+      return;
+    }
+
+    this.server.close(done);
+  }
+
+  /**
+   * @returns {?{address: string, port: number}} The address the server is listening on.
+   */
+  address()
+  {
+    return this.server.address();
+  }
+
+  /**
+   * @private
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   */
+  handleRequest(req, res)
+  {
+    if (this.allowOrigin)
+    {
+      res.setHeader('Access-Control-Allow-Origin', this.allowOrigin);
+    }
+
+    if (req.method !== 'GET')
+    {
+      res.setHeader('Allow', 'GET');
+      this.sendJson(res, 405, {error: `Method not allowed: ${req.method}`});
+
+      return;
+    }
+
+    let path;
+
+    try
+    {
+      path = url.parse(req.url).pathname.replace(/\/+$/, '').split('/').slice(1).map(decodeURIComponent);
+    }
+    catch (err)
+    {
+      this.sendJson(res, 400, {error: `Invalid URL: ${req.url}`});
+
+      return;
+    }
+
+    if (path.length === 1 && path[0] === 'devices')
+    {
+      this.sendJson(res, 200, this.gateway.getDevices().map(device => device.toJSON()));
+    }
+    else if (path.length === 2 && path[0] === 'devices')
+    {
+      this.handleDeviceRequest(res, path[1]);
+    }
+    else if (path.length === 1 && path[0] === 'connections')
+    {
+      this.sendJson(res, 200, this.serializeConnections());
+    }
+    else if (path.length === 1 && path[0] === 'events')
+    {
+      this.handleEventsRequest(req, res);
+    }
+    else
+    {
+      this.sendJson(res, 404, {error: `Not found: ${req.url}`});
+    }
+  }
+
+  /**
+   * @private
+   * @param {http.ServerResponse} res
+   * @param {string} address A unit or a MAC address.
+   */
+  handleDeviceRequest(res, address)
+  {
+    let device = null;
+
+    if (/^[0-9]+$/.test(address))
+    {
+      device = this.gateway.getDevice(parseInt(address, 10));
+    }
+    else
+    {
+      try
+      {
+        device = this.gateway.getDevice(helpers.prepareMacAddress(address));
+      }
+      catch (err)
+      {
+        this.sendJson(res, 400, {error: err.message});
+
+        return;
+      }
+    }
+
+    if (device)
+    {
+      this.sendJson(res, 200, device.toJSON());
+    }
+    else
+    {
+      this.sendJson(res, 404, {error: `Unknown device: ${address}`});
+    }
+  }
+
+  /**
+   * @private
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   */
+  handleEventsRequest(req, res)
+  {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    res.write('retry: 5000\n\n');
+
+    this.clients.add(res);
+
+    req.on('close', () => this.clients.delete(res));
+  }
+
+  /**
+   * @private
+   * @returns {Array<Object>}
+   */
+  serializeConnections()
+  {
+    const connections = this.gateway.getConnectionInfos();
+    const result = connections.map((info, index) => ({
+      index: index,
+      id: info.id,
+      open: info.open,
+      stale: info.stale,
+      stats: info.stats,
+      devices: []
+    }));
+
+    this.gateway.getDevices().forEach(device =>
+    {
+      const connection = this.gateway.getDeviceConnection(device);
+      const index = connections.findIndex(info => info.connection === connection);
+
+      if (index !== -1)
+      {
+        result[index].devices.push(device.unit);
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * @private
+   * @param {string} eventName
+   * @param {Object} data
+   */
+  broadcast(eventName, data)
+  {
+    if (!this.clients.size)
+    {
+      return;
+    }
+
+    const message = `event: ${eventName}\ndata: ${JSON.stringify(data)}\n\n`;
+
+    this.clients.forEach(res => res.write(message));
+  }
+
+  /**
+   * Writes a comment to all the event streams, so that the proxies don't close the idle connections.
+   *
+   * @private
+   */
+  keepAlive()
+  {
+    this.clients.forEach(res => res.write(':\n\n'));
+  }
+
+  /**
+   * @private
+   * @param {http.ServerResponse} res
+   * @param {number} statusCode
+   * @param {*} body
+   */
+  sendJson(res, statusCode, body)
+  {
+    const json = JSON.stringify(body);
+
+    res.writeHead(statusCode, {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Content-Length': Buffer.byteLength(json)
+    });
+    res.end(json);
+  }
+}
+
+module.exports = HttpApi;
+
+/**
+ * @typedef {Object} HttpApiOptions
+ * @property {number} [port=8080]
+ * @property {string} [host] Defaults to all interfaces.
+ * @property {string} [allowOrigin] A value of the `Access-Control-Allow-Origin` header, e.g. `*`.
+ * @property {number} [keepAliveInterval=15000] How often a comment is written to the idle event streams.
+ */
@@ -0,0 +1,537 @@
+// Part of <http://miracle.systems/p/h5.modbus.inode> licensed under <MIT>
+
+'use strict';
+
+const EventEmitter = require('events').EventEmitter;
+
+const ENERGY_METER_UNITS = {
+  0: {total: 'kWh', rate: 'kW', totalClass: 'energy', rateClass: 'power'},
+  1: {total: 'm³', rate: 'm³/h', totalClass: null, rateClass: null},
+  2: {total: 'cnt', rate: 'cnt/h', totalClass: null, rateClass: null}
+};
+
+/**
+ * Home Assistant entities created for the state properties present in the device state.
+ * The `total` and `rate` units are resolved from the unit of the Energy Meter.
+ *
+ * @private
+ * @type {Array<DiscoveryEntity>}
+ */
+const DISCOVERY_ENTITIES = [
+  {property: 'rssi', component: 'sensor', deviceClass: 'signal_strength', unit: 'dBm'},
+  {property: 'temperature', component: 'sensor', deviceClass: 'temperature', unit: '°C'},
+  {property: 'humidity', component: 'sensor', deviceClass: 'humidity', unit: '%'},
+  {property: 'pressure', component: 'sensor', deviceClass: 'pressure', unit: 'hPa'},
+  {property: 'magneticField', component: 'sensor'},
+  {property: 'batteryLevel', component: 'sensor', deviceClass: 'battery', unit: '%'},
+  {property: 'batteryVoltage', component: 'sensor', deviceClass: 'voltage', unit: 'V'},
+  {property: 'lightLevel', component: 'sensor'},
+  {property: 'sum', component: 'sensor', unit: 'total'},
+  {property: 'average', component: 'sensor', unit: 'rate'},
+  {property: 'energy.power', component: 'sensor', unit: 'rate'},
+  {property: 'energy.today', component: 'sensor', unit: 'total'},
+  {property: 'energy.yesterday', component: 'sensor', unit: 'total'},
+  {property: 'energy.thisMonth', component: 'sensor', unit: 'total'},
+  {property: 'energy.lastMonth', component: 'sensor', unit: 'total'},
+  {property: 'input', component: 'binary_sensor'},
+  {property: 'output', component: 'binary_sensor', deviceClass: 'power'},
+  {property: 'magneticFieldDirection', component: 'binary_sensor'},
+  {property: 'position.motion', component: 'binary_sensor', deviceClass: 'motion'}
+];
+
+class MqttBridge extends EventEmitter
+{
+  /**
+   * @param {Gateway} gateway
+   * @param {MqttBridgeOptions} options
+   * @throws {Error} If the `client` option is not specified.
+   */
+  constructor(gateway, options)
+  {
+    super();
+
+    if (!options || !options.client)
+    {
+      throw new Error('The MQTT `client` option is required.');
+    }
+
+    /**
+     * @private
+     * @type {Gateway}
+     */
+    this.gateway = gateway;
+
+    /**
+     * @private
+     * @type {MqttClient}
+     */
+    this.client = options.client;
+
+    /**
+     * @private
+     * @type {string}
+     */
+    this.baseTopic = (options.baseTopic || 'inode').replace(/\/+$/, '');
+
+    /**
+     * @private
+     * @type {{qos: number, retain: boolean}}
+     */
+    this.stateOptions = {
+      qos: options.qos || 0,
+      retain: options.retain !== false
+    };
+
+    /**
+     * Options of the availability and discovery messages, which are always retained.
+     *
+     * @private
+     * @type {{qos: number, retain: boolean}}
+     */
+    this.retainedOptions = {
+      qos: this.stateOptions.qos,
+      retain: true
+    };
+
+    /**
+     * @private
+     * @type {?string}
+     */
+    this.discoveryPrefix = options.homeAssistant
+      ? (options.homeAssistant.prefix || 'homeassistant').replace(/\/+$/, '')
+      : null;
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.availabilityInterval = options.availabilityInterval || 1000;
+
+    /**
+     * @private
+     * @type {*}
+     */
+    this.availabilityTimer = null;
+
+    /**
+     * The last published availability of each device.
+     *
+     * @private
+     * @type {Map<Device, boolean>}
+     */
+    this.availability = new Map();
+
+    /**
+     * The last published discovery payloads of each device by their topics.
+     *
+     * @private
+     * @type {Map<Device, Map<string, string>>}
+     */
+    this.discovery = new Map();
+
+    /**
+     * @private
+     * @type {function(this:MqttBridge, ?Error)}
+     */
+    this.onPublished = this.onPublished.bind(this);
+
+    /**
+     * @private
+     * @type {Object<string, function>}
+     */
+    this.listeners = {
+      'device:add': this.publishDevice.bind(this),
+      'device:remove': this.unpublishDevice.bind(this),
+      'device:change': this.publishChanges.bind(this)
+    };
+
+    /**
+     * @private
+     * @type {function()}
+     */
+    this.onConnect = this.publishAll.bind(this);
+  }
+
+  /**
+   * Starts publishing the gateway events. All the devices are (re)published now, if the client is connected,
+   * and each time the client (re)connects.
+   */
+  start()
+  {
+    if (this.availabilityTimer !== null)
+    {
+      return;
+    }
+
+    Object.keys(this.listeners).forEach(eventName => this.gateway.on(eventName, this.listeners[eventName]));
+
+    this.client.on('connect', this.onConnect);
+
+    this.availabilityTimer = setInterval(this.checkAvailability.bind(this), this.availabilityInterval);
+    this.availabilityTimer.unref();
+
+    if (this.client.connected)
+    {
+      this.publishAll();
+    }
+  }
+
+  /**
+   * Stops publishing the gateway events and publishes all the devices as offline.
+   */
+  stop()
+  {
+    if (this.availabilityTimer === null)
+    {
+      return;
+    }
+
+    Object.keys(this.listeners).forEach(eventName => this.gateway.removeListener(eventName, this.listeners[eventName]));
+
+    this.client.removeListener('connect', this.onConnect);
+
+    clearInterval(this.availabilityTimer);
+    this.availabilityTimer = null;
+
+    this.availability.forEach((available, device) => this.publishOffline(device));
+    this.availability.clear();
+    this.discovery.clear();
+  }
+
+  /**
+   * @param {Device} device
+   * @param {string} property
+   * @returns {string}
+   */
+  getTopic(device, property)
+  {
+    return `${this.baseTopic}/${getDeviceId(device)}/${property}`;
+  }
+
+  /**
+   * @private
+   */
+  publishAll()
+  {
+    this.availability.clear();
+    this.discovery.clear();
+
+    this.gateway.getDevices().forEach(this.publishDevice, this);
+  }
+
+  /**
+   * @private
+   * @param {Device} device
+   */
+  publishDevice(device)
+  {
+    const state = device.toJSON().state;
+
+    this.publishAvailability(device);
+
+    Object.keys(state).forEach(property => this.publishProperty(device, property, state[property]));
+
+    this.publishDiscovery(device, state);
+  }
+
+  /**
+   * @private
+   * @param {Device} device
+   */
+  unpublishDevice(device)
+  {
+    const discovery = this.discovery.get(device);
+
+    if (discovery)
+    {
+      discovery.forEach((payload, topic) => this.publish(topic, '', this.retainedOptions));
+    }
+
+    this.publishOffline(device);
+
+    this.availability.delete(device);
+    this.discovery.delete(device);
+  }
+
+  /**
+   * @private
+   * @param {Device} device
+   * @param {Object} changes The new values of the changed state properties (the `device:change` event is emitted
+   * before the device state is updated).
+   */
+  publishChanges(device, changes)
+  {
+    const state = Object.assign({}, device.toJSON().state, changes);
+
+    this.publishAvailability(device);
+
+    Object.keys(changes).forEach(property => this.publishProperty(device, property, changes[property]));
+
+    this.publishDiscovery(device, state);
+  }
+
+  /**
+   * @private
+   * @param {Device} device
+   * @param {string} property
+   * @param {*} value
+   */
+  publishProperty(device, property, value)
+  {
+    this.publish(this.getTopic(device, property), formatValue(value), this.stateOptions);
+  }
+
+  /**
+   * @private
+   */
+  checkAvailability()
+  {
+    this.gateway.getDevices().forEach(this.publishAvailability, this);
+  }
+
+  /**
+   * @private
+   * @param {Device} device
+   */
+  publishAvailability(device)
+  {
+    const available = device.isAvailable();
+
+    if (this.availability.get(device) === available)
+    {
+      return;
+    }
+
+    this.availability.set(device, available);
+
+    this.publish(this.getTopic(device, 'availability'), available ? 'online' : 'offline', this.retainedOptions);
+  }
+
+  /**
+   * @private
+   * @param {Device} device
+   */
+  publishOffline(device)
+  {
+    this.publish(this.getTopic(device, 'availability'), 'offline', this.retainedOptions);
+  }
+
+  /**
+   * Publishes the Home Assistant discovery payloads of the entities for the properties present in the state,
+   * if they changed since they were last published.
+   *
+   * @private
+   * @param {Device} device
+   * @param {Object} state
+   */
+  publishDiscovery(device, state)
+  {
+    if (this.discoveryPrefix === null || device.model === null)
+    {
+      return;
+    }
+
+    if (!this.discovery.has(device))
+    {
+      this.discovery.set(device, new Map());
+    }
+
+    const published = this.discovery.get(device);
+    const deviceId = getDeviceId(device);
+    const units = ENERGY_METER_UNITS[state.unit] || ENERGY_METER_UNITS[0];
+    const deviceInfo = {
+      identifiers: [deviceId],
+      connections: [['mac', device.mac]],
+      name: state.localName || `iNode ${device.getModelName()} ${device.mac}`,
+      manufacturer: 'iNode.pl',
+      model: device.getModelName()
+    };
+
+    DISCOVERY_ENTITIES.forEach(entity =>
+    {
+      const path = entity.property.split('.');
+
+      if (readProperty(state, path) === undefined)
+      {
+        return;
+      }
+
+      const objectId = path.join('_');
+      const topic = `${this.discoveryPrefix}/${entity.component}/${deviceId}/${objectId}/config`;
+      const config = {
+        name: `${deviceInfo.name} ${path.join(' ')}`,
+        uniqueId: `${deviceId}_${objectId}`,
+        stateTopic: this.getTopic(device, path[0]),
+        availabilityTopic: this.getTopic(device, 'availability'),
+        device: deviceInfo
+      };
+
+      if (path.length > 1)
+      {
+        config.valueTemplate = entity.component === 'binary_sensor'
+          ? `{{ 'true' if value_json.${path[1]} else 'false' }}`
+          : `{{ value_json.${path[1]} }}`;
+      }
+
+      if (entity.component === 'binary_sensor')
+      {
+        config.payloadOn = 'true';
+        config.payloadOff = 'false';
+      }
+
+      let deviceClass = entity.deviceClass;
+      let unit = entity.unit;
+
+      if (entity.unit === 'total')
+      {
+        deviceClass = units.totalClass;
+        unit = units.total;
+      }
+      else if (entity.unit === 'rate')
+      {
+        deviceClass = units.rateClass;
+        unit = units.rate;
+      }
+
+      if (deviceClass)
+      {
+        config.deviceClass = deviceClass;
+      }
+
+      if (unit)
+      {
+        config.unitOfMeasurement = unit;
+      }
+
+      const payload = JSON.stringify(toSnakeCaseKeys(config));
+
+      if (published.get(topic) !== payload)
+      {
+        published.set(topic, payload);
+
+        this.publish(topic, payload, this.retainedOptions);
+      }
+    });
+  }
+
+  /**
+   * @private
+   * @param {string} topic
+   * @param {string} payload
+   * @param {{qos: number, retain: boolean}} options
+   */
+  publish(topic, payload, options)
+  {
+    this.client.publish(topic, payload, options, this.onPublished);
+  }
+
+  /**
+   * @private
+   * @param {?Error} err
+   */
+  onPublished(err)
+  {
+    if (err)
+    {
+      this.emit('publish:error', err);
+    }
+  }
+}
+
+module.exports = MqttBridge;
+
+/**
+ * Home Assistant expects the discovery config keys in snake case, e.g. `unique_id`.
+ *
+ * @private
+ * @param {Object} config
+ * @returns {Object}
+ */
+function toSnakeCaseKeys(config)
+{
+  const result = {};
+
+  Object.keys(config).forEach(key =>
+  {
+    result[key.replace(/[A-Z]/g, c => `_${c.toLowerCase()}`)] = config[key];
+  });
+
+  return result;
+}
+
+/**
+ * @private
+ * @param {Device} device
+ * @returns {string}
+ */
+function getDeviceId(device)
+{
+  return device.mac.replace(/:/g, '').toLowerCase();
+}
+
+/**
+ * @private
+ * @param {*} value
+ * @returns {string}
+ */
+function formatValue(value)
+{
+  if (value == null)
+  {
+    return '';
+  }
+
+  if (value instanceof Date)
+  {
+    return value.toISOString();
+  }
+
+  if (typeof value === 'object')
+  {
+    return JSON.stringify(value);
+  }
+
+  return String(value);
+}
+
+/**
+ * @private
+ * @param {Object} values
+ * @param {Array<string>} path
+ * @returns {*}
+ */
+function readProperty(values, path)
+{
+  return path.reduce((value, key) => (value == null ? undefined : value[key]), values);
+}
+
+/**
+ * An MQTT client compatible with the `mqtt` package.
+ *
+ * @typedef {Object} MqttClient
+ * @property {boolean} connected
+ * @property {function(string, string, Object, function(?Error))} publish
+ * @property {function(string, function)} on
+ * @property {function(string, function)} removeListener
+ */
+
+/**
+ * @typedef {Object} MqttBridgeOptions
+ * @property {MqttClient} client A connected or connecting MQTT client.
+ * @property {string} [baseTopic=inode] The device topics are published under `<baseTopic>/<mac>/`.
+ * @property {number} [qos=0]
+ * @property {boolean} [retain=true] Whether the state messages are retained. The availability and discovery
+ * messages are always retained.
+ * @property {(boolean|{prefix: string})} [homeAssistant] Enables publishing of the Home Assistant discovery
+ * payloads (under the `homeassistant` prefix by default).
+ * @property {number} [availabilityInterval=1000] How often the availability of the devices is checked.
+ */
+
+/**
+ * @private
+ * @typedef {Object} DiscoveryEntity
+ * @property {string} property
+ * @property {string} component
+ * @property {string} [deviceClass]
+ * @property {string} [unit]
+ */
@@ -0,0 +1,80 @@
+// Part of <http://miracle.systems/p/h5.modbus.inode> licensed under <MIT>
+
+'use strict';
+
+class RateCounter
+{
+  /**
+   * @param {number} [windowSize=10] The number of seconds the rate is averaged over.
+   */
+  constructor(windowSize)
+  {
+    /**
+     * @private
+     * @type {Array<number>}
+     */
+    this.buckets = new Array(windowSize || 10).fill(0);
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.lastSecond = currentSecond();
+  }
+
+  /**
+   * @param {number} [count=1]
+   */
+  increment(count)
+  {
+    const second = currentSecond();
+
+    this.advance(second);
+
+    this.buckets[second % this.buckets.length] += count || 1;
+  }
+
+  /**
+   * @returns {number} The average number of events per second.
+   */
+  getRate()
+  {
+    this.advance(currentSecond());
+
+    return this.buckets.reduce((sum, count) => sum + count, 0) / this.buckets.length;
+  }
+
+  /**
+   * @private
+   * @param {number} second
+   */
+  advance(second)
+  {
+    const windowSize = this.buckets.length;
+
+    if (second - this.lastSecond >= windowSize)
+    {
+      this.buckets.fill(0);
+    }
+    else
+    {
+      for (let s = this.lastSecond + 1; s <= second; ++s)
+      {
+        this.buckets[s % windowSize] = 0;
+      }
+    }
+
+    this.lastSecond = Math.max(this.lastSecond, second);
+  }
+}
+
+module.exports = RateCounter;
+
+/**
+ * @private
+ * @returns {number}
+ */
+function currentSecond()
+{
+  return Math.floor(Date.now() / 1000);
+}
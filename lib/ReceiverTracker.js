@@ -0,0 +1,228 @@
+// Part of <http://miracle.systems/p/h5.modbus.inode> licensed under <MIT>
+
+'use strict';
+
+class ReceiverTracker
+{
+  /**
+   * @param {ReceiverTrackerOptions} options
+   */
+  constructor(options)
+  {
+    /**
+     * @private
+     * @type {number}
+     */
+    this.smoothing = options.smoothing > 0 && options.smoothing <= 1 ? options.smoothing : 0.3;
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.hysteresis = options.hysteresis != null ? options.hysteresis : 3;
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.timeout = options.timeout;
+
+    /**
+     * @private
+     * @type {Map<number, ReceiverState>}
+     */
+    this.receivers = new Map();
+
+    /**
+     * @private
+     * @type {?number}
+     */
+    this.bestReceiverId = null;
+  }
+
+  /**
+   * @param {number} receiverId
+   * @param {number} rssi
+   * @param {number} now
+   * @returns {boolean} Whether the best receiver changed.
+   */
+  update(receiverId, rssi, now)
+  {
+    let receiver = this.receivers.get(receiverId);
+
+    if (!receiver)
+    {
+      receiver = {
+        id: receiverId,
+        rssi: rssi,
+        smoothedRssi: rssi,
+        lastSeenAt: now,
+        reportCount: 0
+      };
+
+      this.receivers.set(receiverId, receiver);
+    }
+    else if (this.isFresh(receiver, now))
+    {
+      receiver.smoothedRssi = Math.round(
+        (this.smoothing * rssi + (1 - this.smoothing) * receiver.smoothedRssi) * 10
+      ) / 10;
+    }
+    else
+    {
+      receiver.smoothedRssi = rssi;
+    }
+
+    receiver.rssi = rssi;
+    receiver.lastSeenAt = now;
+    receiver.reportCount += 1;
+
+    return this.selectBestReceiver(now);
+  }
+
+  /**
+   * Re-selects the best receiver, e.g. after the current one timed out.
+   *
+   * @param {number} now
+   * @returns {boolean} Whether the best receiver changed.
+   */
+  check(now)
+  {
+    return this.selectBestReceiver(now);
+  }
+
+  /**
+   * @returns {?number} An ID of the receiver with the strongest smoothed RSSI among the receivers that heard
+   * the device within the timeout (as of the last `update()` or `check()`).
+   */
+  getBestReceiverId()
+  {
+    return this.bestReceiverId;
+  }
+
+  /**
+   * Takes over the receivers and the best receiver of the specified tracker, e.g. of the same device created
+   * with different options.
+   *
+   * @param {ReceiverTracker} tracker
+   */
+  inherit(tracker)
+  {
+    this.receivers = new Map();
+
+    tracker.receivers.forEach((receiver, receiverId) => this.receivers.set(receiverId, Object.assign({}, receiver)));
+
+    this.bestReceiverId = tracker.bestReceiverId;
+  }
+
+  /**
+   * @param {number} now
+   * @returns {Array<ReceiverState>}
+   */
+  toJSON(now)
+  {
+    return Array.from(this.receivers.values()).map(receiver => Object.assign({}, receiver, {
+      available: this.isFresh(receiver, now)
+    }));
+  }
+
+  /**
+   * @param {number} now
+   * @returns {{best: ?number, bestRssi: ?number, count: number, rssi: Object<number, number>}}
+   */
+  getRegisterValues(now)
+  {
+    const bestReceiverId = this.bestReceiverId;
+    const values = {
+      best: bestReceiverId,
+      bestRssi: bestReceiverId === null ? null : this.receivers.get(bestReceiverId).smoothedRssi,
+      count: 0,
+      rssi: {}
+    };
+
+    this.receivers.forEach(receiver =>
+    {
+      if (this.isFresh(receiver, now))
+      {
+        values.count += 1;
+        values.rssi[receiver.id] = receiver.smoothedRssi;
+      }
+    });
+
+    return values;
+  }
+
+  /**
+   * Selects the receiver with the strongest smoothed RSSI. The current best receiver is replaced only
+   * if it timed out or the other one is stronger by more than the hysteresis, so that the selection
+   * doesn't flip between the receivers with similar RSSI.
+   *
+   * @private
+   * @param {number} now
+   * @returns {boolean} Whether the best receiver changed.
+   */
+  selectBestReceiver(now)
+  {
+    const current = this.bestReceiverId === null ? null : this.receivers.get(this.bestReceiverId);
+    let best = null;
+
+    this.receivers.forEach(receiver =>
+    {
+      if (this.isFresh(receiver, now) && (best === null || receiver.smoothedRssi > best.smoothedRssi))
+      {
+        best = receiver;
+      }
+    });
+
+    if (best !== null
+      && current
+      && best !== current
+      && this.isFresh(current, now)
+      && best.smoothedRssi <= current.smoothedRssi + this.hysteresis)
+    {
+      best = current;
+    }
+
+    const bestReceiverId = best === null ? null : best.id;
+
+    if (bestReceiverId === this.bestReceiverId)
+    {
+      return false;
+    }
+
+    this.bestReceiverId = bestReceiverId;
+
+    return true;
+  }
+
+  /**
+   * @private
+   * @param {ReceiverState} receiver
+   * @param {number} now
+   * @returns {boolean}
+   */
+  isFresh(receiver, now)
+  {
+    return now - receiver.lastSeenAt <= this.timeout;
+  }
+}
+
+module.exports = ReceiverTracker;
+
+/**
+ * @typedef {Object} ReceiverTrackerOptions
+ * @property {number} timeout The number of milliseconds after which a receiver that didn't hear the device
+ * is ignored.
+ * @property {number} [smoothing=0.3] The weight of the new RSSI in the exponential moving average (0-1].
+ * @property {number} [hysteresis=3] How many dB stronger another receiver must be to become the best one.
+ */
+
+/**
+ * @typedef {Object} ReceiverState
+ * @property {number} id An ID of the connection assigned by the `Gateway`.
+ * @property {number} rssi The last RSSI.
+ * @property {number} smoothedRssi
+ * @property {number} lastSeenAt
+ * @property {number} reportCount
+ * @property {boolean} [available] Whether the receiver heard the device within the timeout.
+ */
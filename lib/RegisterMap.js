@@ -0,0 +1,858 @@
+// Part of <http://miracle.systems/p/h5.modbus.inode> licensed under <MIT>
+
+'use strict';
+
+const REGISTER_TYPES = {
+  uint16: {size: 1, min: 0, max: 0xFFFF},
+  int16: {size: 1, min: -0x8000, max: 0x7FFF},
+  uint32: {size: 2, min: 0, max: 0xFFFFFFFF},
+  int32: {size: 2, min: -0x80000000, max: 0x7FFFFFFF},
+  float32: {size: 2},
+  boolean: {size: 1},
+  timestamp: {size: 2},
+  bits: {size: 1},
+  validity: {size: 1},
+  mac: {size: 3},
+  string: {size: 0},
+  bytes: {size: 0}
+};
+const ENCODINGS = {
+  int16: null,
+  int32: 'int32',
+  float32: 'float32'
+};
+const TYPE_SENTINELS = {
+  int16: -0x8000,
+  uint16: 0xFFFF,
+  int32: -0x80000000,
+  uint32: 0xFFFFFFFF,
+  float32: NaN
+};
+const BYTE_ORDERS = {
+  ABCD: [0, 1, 2, 3],
+  CDAB: [2, 3, 0, 1],
+  BADC: [1, 0, 3, 2],
+  DCBA: [3, 2, 1, 0]
+};
+const DEFAULT_ENCODED_ADDRESS = 1000;
+
+class RegisterMap
+{
+  /**
+   * @param {RegisterMapDefinition} definition
+   * @throws {Error} If the specified `definition` is invalid, i.e. it contains a register of an unknown type,
+   * a register without a property or with an invalid address, registers that overlap (including the encoded
+   * registers), or an unknown encoding, encoded address, byte order or sentinel strategy.
+   */
+  constructor(definition)
+  {
+    if (!definition || !Array.isArray(definition.registers))
+    {
+      throw new Error('Invalid register map: expected an object with an array of registers.');
+    }
+
+    const encoding = definition.encoding || 'int16';
+    const byteOrder = definition.byteOrder || 'ABCD';
+    const encodedAddress = definition.encodedAddress == null ? DEFAULT_ENCODED_ADDRESS : definition.encodedAddress;
+
+    if (!ENCODINGS.hasOwnProperty(encoding))
+    {
+      throw new Error(`Invalid register map: unknown encoding: ${encoding}`);
+    }
+
+    if (!Number.isInteger(encodedAddress) || encodedAddress < 0 || encodedAddress > 0xFFFF)
+    {
+      throw new Error(`Invalid register map: invalid encoded address: ${encodedAddress}`);
+    }
+
+    if (!BYTE_ORDERS.hasOwnProperty(byteOrder))
+    {
+      throw new Error(`Invalid register map: unknown byte order: ${byteOrder}`);
+    }
+
+    const typeSentinels = resolveTypeSentinels(definition.sentinels);
+
+    /**
+     * @private
+     * @type {RegisterMapDefinition}
+     */
+    this.definition = JSON.parse(JSON.stringify(definition));
+
+    /**
+     * @private
+     * @type {Array<Register>}
+     */
+    this.registers = encodeRegisters(
+      definition.registers
+        .map(r => prepareRegister(r, byteOrder))
+        .sort((a, b) => a.address - b.address),
+      ENCODINGS[encoding],
+      encodedAddress
+    );
+
+    this.registers.forEach(register =>
+    {
+      if (typeSentinels && typeSentinels.hasOwnProperty(register.type))
+      {
+        register.typeSentinel = typeSentinels[register.type];
+      }
+    });
+
+    /**
+     * @private
+     * @type {Array<Register>}
+     */
+    this.bitRegisters = this.registers.filter(r => r.type === 'bits');
+
+    /**
+     * The number of registers.
+     *
+     * @readonly
+     * @type {number}
+     */
+    this.length = 0;
+
+    this.registers.forEach((register, i) =>
+    {
+      const previous = this.registers[i - 1];
+
+      if (previous && register.address < previous.address + previous.size)
+      {
+        throw new Error(
+          `Invalid register map: register ${register.address} (${register.name}) overlaps `
+          + `register ${previous.address} (${previous.name}).`
+        );
+      }
+
+      this.length = Math.max(this.length, register.address + register.size);
+    });
+  }
+
+  /**
+   * @param {(RegisterMap|RegisterMapDefinition)} registerMap
+   * @returns {RegisterMap}
+   */
+  static from(registerMap)
+  {
+    return registerMap instanceof RegisterMap ? registerMap : new RegisterMap(registerMap);
+  }
+
+  /**
+   * @param {RegisterMapOptions} options
+   * @returns {RegisterMap} This register map, if the specified `options` don't change anything,
+   * or a new register map with the specified `options` applied.
+   * @throws {Error} If the specified `options` are invalid.
+   */
+  configure(options)
+  {
+    const definition = this.definition;
+    const overrides = {};
+
+    Object.keys(options || {}).forEach(k =>
+    {
+      if (options[k] != null && options[k] !== definition[k])
+      {
+        overrides[k] = options[k];
+      }
+    });
+
+    if (Object.keys(overrides).length === 0)
+    {
+      return this;
+    }
+
+    return new RegisterMap(Object.assign({}, definition, overrides));
+  }
+
+  /**
+   * @param {Array<RegisterDefinition>} registers Definitions of registers with addresses relative to the end
+   * of this register map.
+   * @returns {RegisterMap} A new register map with the specified registers appended.
+   * @throws {Error} If the specified `registers` are invalid.
+   */
+  extend(registers)
+  {
+    const definition = this.definition;
+    const end = new RegisterMap({registers: definition.registers}).length;
+
+    return new RegisterMap(Object.assign({}, definition, {
+      registers: definition.registers.concat(registers.map(r => Object.assign({}, r, {address: end + r.address})))
+    }));
+  }
+
+  /**
+   * @param {string} property
+   * @returns {?RegisterDefinition} A copy of the definition of the register of the specified property.
+   */
+  getRegisterDefinition(property)
+  {
+    const registers = this.definition.registers;
+
+    for (let i = 0; i < registers.length; ++i)
+    {
+      if (registers[i].property === property)
+      {
+        return Object.assign({}, registers[i]);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * @returns {RegisterMapDefinition}
+   */
+  toJSON()
+  {
+    return this.definition;
+  }
+
+  /**
+   * @param {number} address
+   * @returns {?Register}
+   */
+  getRegister(address)
+  {
+    for (let i = 0; i < this.registers.length; ++i)
+    {
+      const register = this.registers[i];
+
+      if (address >= register.address && address < register.address + register.size)
+      {
+        return register;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Returns the property of the specified bit address. The bit addresses are assigned to the registers of
+   * the `bits` type in the order of their register addresses, 16 bit addresses per register, starting at 0.
+   *
+   * @param {number} bitAddress
+   * @returns {(string|null|undefined)} The property path, `null` if the bit is reserved or `undefined`
+   * if the bit address is out of range.
+   */
+  getBitProperty(bitAddress)
+  {
+    const register = this.bitRegisters[Math.floor(bitAddress / 16)];
+
+    if (!register || bitAddress < 0)
+    {
+      return undefined;
+    }
+
+    return register.bits[bitAddress % 16] || null;
+  }
+
+  /**
+   * @param {Object} values
+   * @returns {Array<boolean>}
+   */
+  readBits(values)
+  {
+    const bits = new Array(this.bitRegisters.length * 16).fill(false);
+
+    this.bitRegisters.forEach((register, r) =>
+    {
+      register.paths.forEach((path, i) =>
+      {
+        bits[r * 16 + i] = readBit(values, register, i);
+      });
+    });
+
+    return bits;
+  }
+
+  /**
+   * Writes the registers that depend on the changed properties. The `validity` registers are always written.
+   *
+   * @param {Buffer} buffer
+   * @param {Object} values
+   * @param {?Object} changes The changed properties or `null` to write all the registers.
+   */
+  write(buffer, values, changes)
+  {
+    this.registers.forEach(register =>
+    {
+      if (changes === null || register.type === 'validity' || register.roots.some(root => !!changes[root]))
+      {
+        writeRegister(buffer, register, values);
+      }
+    });
+  }
+}
+
+module.exports = RegisterMap;
+
+/**
+ * @private
+ * @param {RegisterDefinition} definition
+ * @param {string} defaultByteOrder
+ * @returns {Register}
+ * @throws {Error} If the specified `definition` is invalid.
+ */
+function prepareRegister(definition, defaultByteOrder) // eslint-disable-line complexity
+{
+  const name = definition.property || (definition.bits ? definition.bits.filter(b => !!b).join(', ') : '?');
+  const type = REGISTER_TYPES[definition.type];
+
+  if (!type)
+  {
+    throw new Error(`Invalid register map: unknown type of register ${definition.address} (${name}): ${definition.type}`);
+  }
+
+  if (definition.address !== (definition.address & 0xFFFF))
+  {
+    throw new Error(`Invalid register map: invalid address of register (${name}): ${definition.address}`);
+  }
+
+  const register = {
+    address: definition.address,
+    size: type.size,
+    type: definition.type,
+    name: name,
+    paths: [],
+    roots: [],
+    scale: typeof definition.scale === 'number' ? definition.scale : 1,
+    unscaledIf: definition.unscaledIf || null,
+    sentinel: typeof definition.sentinel === 'number'
+      ? definition.sentinel
+      : definition.type === 'float32' ? NaN : 0,
+    typeSentinel: null,
+    byteOrder: definition.byteOrder || defaultByteOrder,
+    bits: null,
+    fallback: null,
+    fallbackPaths: null
+  };
+
+  if (!BYTE_ORDERS.hasOwnProperty(register.byteOrder))
+  {
+    throw new Error(`Invalid register map: unknown byte order of register ${register.address}: ${register.byteOrder}`);
+  }
+
+  if (register.type === 'bits')
+  {
+    if (!Array.isArray(definition.bits) || definition.bits.length > 16)
+    {
+      throw new Error(`Invalid register map: expected an array of up to 16 bits for register ${register.address}.`);
+    }
+
+    register.bits = definition.bits.map(bit => bit || null);
+    register.paths = register.bits.map(bit => bit === null ? null : bit.split('.'));
+
+    if (definition.fallbacks)
+    {
+      const fallbacks = definition.fallbacks;
+
+      register.fallbackPaths = register.bits.map(bit => bit !== null && fallbacks[bit] ? fallbacks[bit].split('.') : null);
+    }
+  }
+  else if (register.type === 'validity')
+  {
+    if (!Array.isArray(definition.properties) || definition.properties.length === 0)
+    {
+      throw new Error(`Invalid register map: expected an array of properties for validity register ${register.address}.`);
+    }
+
+    register.size = Math.ceil(definition.properties.length / 16);
+    register.paths = definition.properties.map(property => property.split('.'));
+    register.name = 'validity';
+  }
+  else
+  {
+    if (typeof definition.property !== 'string' || definition.property === '')
+    {
+      throw new Error(`Invalid register map: missing property of register ${register.address}.`);
+    }
+
+    register.paths = [definition.property.split('.')];
+
+    if (definition.fallback)
+    {
+      if (typeof definition.fallback.property !== 'string' || definition.fallback.property === '')
+      {
+        throw new Error(`Invalid register map: missing fallback property of register ${register.address}.`);
+      }
+
+      register.fallback = {
+        path: definition.fallback.property.split('.'),
+        scale: typeof definition.fallback.scale === 'number' ? definition.fallback.scale : 1
+      };
+    }
+  }
+
+  if (register.type === 'string' || register.type === 'bytes')
+  {
+    if (!(definition.length > 0))
+    {
+      throw new Error(
+        `Invalid register map: missing length of ${register.type} register ${register.address} (${name}).`
+      );
+    }
+
+    register.size = definition.length;
+  }
+
+  register.paths
+    .concat(register.fallback ? [register.fallback.path] : [], register.fallbackPaths || [])
+    .forEach(path =>
+    {
+      if (path !== null && register.type !== 'validity' && register.roots.indexOf(path[0]) === -1)
+      {
+        register.roots.push(path[0]);
+      }
+    });
+
+  if (register.unscaledIf)
+  {
+    Object.keys(register.unscaledIf).forEach(root =>
+    {
+      if (register.roots.indexOf(root) === -1)
+      {
+        register.roots.push(root);
+      }
+    });
+  }
+
+  return register;
+}
+
+/**
+ * @private
+ * @param {(string|Object<string, number>)} [sentinels]
+ * @returns {?Object<string, number>}
+ * @throws {Error} If the specified `sentinels` are invalid.
+ */
+function resolveTypeSentinels(sentinels)
+{
+  if (!sentinels || sentinels === 'register')
+  {
+    return null;
+  }
+
+  if (sentinels === 'type')
+  {
+    return TYPE_SENTINELS;
+  }
+
+  if (typeof sentinels !== 'object'
+    || Object.keys(sentinels).some(type => !TYPE_SENTINELS.hasOwnProperty(type) || typeof sentinels[type] !== 'number'))
+  {
+    throw new Error(`Invalid register map: unknown sentinel strategy: ${JSON.stringify(sentinels)}`);
+  }
+
+  return sentinels;
+}
+
+/**
+ * Adds the scaled registers converted to the specified 32-bit type at `encodedAddress + 2 * address`,
+ * so the addresses of the registers as defined don't change.
+ *
+ * @private
+ * @param {Array<Register>} registers Sorted by the address.
+ * @param {?string} type `int32`, `float32` or `null` to leave the registers as they are.
+ * @param {number} encodedAddress
+ * @returns {Array<Register>}
+ */
+function encodeRegisters(registers, type, encodedAddress)
+{
+  if (type === null)
+  {
+    return registers;
+  }
+
+  const encodedRegisters = [];
+
+  registers.forEach(register =>
+  {
+    const scaled = register.scale !== 1 || register.unscaledIf !== null;
+
+    if (!scaled || (type === 'int32' && REGISTER_TYPES[register.type].size !== 1))
+    {
+      return;
+    }
+
+    if (register.type !== 'int16' && register.type !== 'uint16'
+      && register.type !== 'int32' && register.type !== 'uint32')
+    {
+      return;
+    }
+
+    const encoded = Object.assign({}, register, {address: encodedAddress + register.address * 2});
+
+    encoded.type = type;
+    encoded.size = REGISTER_TYPES[type].size;
+
+    if (type === 'float32')
+    {
+      encoded.scale = 1;
+      encoded.unscaledIf = null;
+      encoded.sentinel = NaN;
+
+      if (encoded.fallback)
+      {
+        encoded.fallback = Object.assign({}, encoded.fallback, {scale: 1});
+      }
+    }
+
+    encodedRegisters.push(encoded);
+  });
+
+  return registers.concat(encodedRegisters).sort((a, b) => a.address - b.address);
+}
+
+/**
+ * @private
+ * @param {Object} values
+ * @param {Array<string>} path
+ * @returns {*}
+ */
+function readProperty(values, path)
+{
+  let value = values;
+
+  for (let i = 0; i < path.length; ++i)
+  {
+    if (value == null)
+    {
+      return undefined;
+    }
+
+    value = value[path[i]];
+  }
+
+  return value;
+}
+
+/**
+ * @private
+ * @param {Buffer} buffer
+ * @param {Register} register
+ * @param {Object} values
+ */
+function writeRegister(buffer, register, values) // eslint-disable-line complexity
+{
+  const offset = register.address * 2;
+
+  if (offset + register.size * 2 > buffer.length)
+  {
+    return;
+  }
+
+  const value = register.type === 'bits' || register.type === 'validity'
+    ? null
+    : readProperty(values, register.paths[0]);
+
+  switch (register.type)
+  {
+    case 'bits':
+      buffer.writeUInt16BE(
+        register.paths.reduce((bits, path, i) => bits | (readBit(values, register, i) ? 1 << i : 0), 0),
+        offset,
+        true
+      );
+      break;
+
+    case 'boolean':
+      buffer.writeUInt16BE(value ? 1 : 0, offset, true);
+      break;
+
+    case 'validity':
+      writeValidity(buffer, offset, register, values);
+      break;
+
+    case 'timestamp':
+      writeUInt32(buffer, offset, register, value ? Math.round(new Date(value).getTime() / 1000) : 0);
+      break;
+
+    case 'mac':
+      String(value || '')
+        .split(':')
+        .slice(0, 6)
+        .forEach((hex, i) => { buffer[offset + i] = parseInt(hex, 16) || 0; });
+      break;
+
+    case 'string':
+      buffer.fill(0, offset, offset + register.size * 2);
+      buffer.write(String(value || ''), offset, register.size * 2);
+      break;
+
+    case 'bytes':
+      buffer.fill(0, offset, offset + register.size * 2);
+      toBuffer(value).copy(buffer, offset, 0, register.size * 2);
+      break;
+
+    default:
+      writeNumberOrFallback(buffer, offset, register, value, values);
+      break;
+  }
+}
+
+/**
+ * Writes the value of the fallback property (with its own scale) if the value of the register property
+ * is not a number, e.g. the magnetic field instead of the humidity of a Care Sensor #5.
+ *
+ * @private
+ * @param {Buffer} buffer
+ * @param {number} offset
+ * @param {Register} register
+ * @param {*} value
+ * @param {Object} values
+ */
+function writeNumberOrFallback(buffer, offset, register, value, values)
+{
+  const fallback = register.fallback;
+
+  if (fallback !== null && (typeof value !== 'number' || isNaN(value)))
+  {
+    const fallbackValue = readProperty(values, fallback.path);
+
+    if (typeof fallbackValue === 'number' && !isNaN(fallbackValue))
+    {
+      writeNumber(buffer, offset, Object.assign({}, register, {scale: fallback.scale, unscaledIf: null}), fallbackValue, values);
+
+      return;
+    }
+  }
+
+  writeNumber(buffer, offset, register, value, values);
+}
+
+/**
+ * @private
+ * @param {Object} values
+ * @param {Register} register A `bits` register.
+ * @param {number} i
+ * @returns {boolean} Whether the specified bit (or its fallback property) is set.
+ */
+function readBit(values, register, i)
+{
+  const path = register.paths[i];
+
+  if (path === null)
+  {
+    return false;
+  }
+
+  if (readProperty(values, path))
+  {
+    return true;
+  }
+
+  const fallbackPath = register.fallbackPaths ? register.fallbackPaths[i] : null;
+
+  return fallbackPath !== null && !!readProperty(values, fallbackPath);
+}
+
+/**
+ * @private
+ * @param {*} value A buffer, an array of bytes or a hex string.
+ * @returns {Buffer}
+ */
+function toBuffer(value)
+{
+  if (Buffer.isBuffer(value))
+  {
+    return value;
+  }
+
+  if (Array.isArray(value))
+  {
+    return new Buffer(value);
+  }
+
+  return new Buffer(typeof value === 'string' ? value.replace(/[^0-9A-Fa-f]+/g, '') : '', 'hex');
+}
+
+/**
+ * @private
+ * @param {Buffer} buffer
+ * @param {number} offset
+ * @param {Register} register
+ * @param {Object} values
+ */
+function writeValidity(buffer, offset, register, values)
+{
+  const received = values.received || {};
+
+  for (let i = 0; i < register.size; ++i)
+  {
+    let bits = 0;
+
+    register.paths.slice(i * 16, i * 16 + 16).forEach((path, bit) =>
+    {
+      if (received[path[0]] && readProperty(values, path) != null)
+      {
+        bits |= 1 << bit;
+      }
+    });
+
+    buffer.writeUInt16BE(bits, offset + i * 2, true);
+  }
+}
+
+/**
+ * @private
+ * @param {Buffer} buffer
+ * @param {number} offset
+ * @param {Register} register
+ * @param {*} value
+ * @param {Object} values
+ */
+function writeNumber(buffer, offset, register, value, values)
+{
+  const defined = typeof value === 'number' && !isNaN(value);
+  let raw;
+
+  if (!defined && register.typeSentinel !== null)
+  {
+    raw = register.typeSentinel;
+  }
+  else
+  {
+    let scale = register.scale;
+
+    if (register.unscaledIf && Object.keys(register.unscaledIf).every(k => values[k] === register.unscaledIf[k]))
+    {
+      scale = 1;
+    }
+
+    raw = (defined ? value : register.sentinel) * scale;
+
+    if (register.type !== 'float32')
+    {
+      raw = clampInteger(raw, REGISTER_TYPES[register.type], defined ? register.typeSentinel : null);
+    }
+  }
+
+  switch (register.type)
+  {
+    case 'uint16':
+      buffer.writeUInt16BE(raw, offset, true);
+      break;
+
+    case 'int16':
+      buffer.writeInt16BE(raw, offset, true);
+      break;
+
+    case 'uint32':
+      writeUInt32(buffer, offset, register, raw);
+      break;
+
+    case 'int32':
+      write32(buffer, offset, register, b => b.writeInt32BE(raw, 0, true));
+      break;
+
+    case 'float32':
+      write32(buffer, offset, register, b => b.writeFloatBE(raw, 0, true));
+      break;
+  }
+}
+
+/**
+ * Rounds and clamps the specified value to the range of the specified type. If the sentinel is equal to the minimum
+ * or the maximum of the range, then the range is narrowed so that a defined value is never written as the sentinel.
+ *
+ * @private
+ * @param {number} value
+ * @param {{min: number, max: number}} type
+ * @param {?number} sentinel
+ * @returns {number}
+ */
+function clampInteger(value, type, sentinel)
+{
+  const min = sentinel === type.min ? type.min + 1 : type.min;
+  const max = sentinel === type.max ? type.max - 1 : type.max;
+
+  return Math.min(max, Math.max(min, Math.round(value)));
+}
+
+/**
+ * @private
+ * @param {Buffer} buffer
+ * @param {number} offset
+ * @param {Register} register
+ * @param {number} value
+ */
+function writeUInt32(buffer, offset, register, value)
+{
+  write32(buffer, offset, register, b => b.writeUInt32BE(value, 0, true));
+}
+
+/**
+ * @private
+ * @param {Buffer} buffer
+ * @param {number} offset
+ * @param {Register} register
+ * @param {function(Buffer)} writeBigEndian A function writing the value to a 4-byte buffer in the ABCD order.
+ */
+function write32(buffer, offset, register, writeBigEndian)
+{
+  const bigEndian = new Buffer(4);
+
+  writeBigEndian(bigEndian);
+
+  BYTE_ORDERS[register.byteOrder].forEach((byteIndex, i) => { buffer[offset + i] = bigEndian[byteIndex]; });
+}
+
+/**
+ * @typedef {Object} RegisterMapOptions
+ * @property {string} [encoding=int16] How the scaled values are additionally written: `int16` (only as defined
+ * by the registers), `int32` (the scaled 16-bit values as 32-bit integers) or `float32` (all the scaled values
+ * as unscaled IEEE 754 floats; `NaN` if undefined).
+ * @property {number} [encodedAddress=1000] The address of the `int32` or `float32` values. The value of a register
+ * at address A is written to registers `encodedAddress + 2 * A` and `encodedAddress + 2 * A + 1`.
+ * @property {string} [byteOrder=ABCD] The order of bytes of the 32-bit values: `ABCD` (big endian),
+ * `CDAB` (word swap), `BADC` (byte swap) or `DCBA` (little endian).
+ * @property {(string|Object<string, number>)} [sentinels=register] What is written in place of undefined values:
+ * `register` (the `sentinel` of the register before scaling), `type` (the raw `0x8000` for signed, `0xFFFF`
+ * for unsigned 16-bit values, `0x80000000`/`0xFFFFFFFF` for 32-bit values and `NaN` for floats) or an object
+ * of raw sentinels by register types. Defined values are never written as the sentinel of the `type` strategy.
+ */
+
+/**
+ * @typedef {RegisterMapOptions} RegisterMapDefinition
+ * @property {Array<RegisterDefinition>} registers
+ */
+
+/**
+ * @typedef {Object} RegisterDefinition
+ * @property {number} address The register address.
+ * @property {string} type One of: `uint16`, `int16`, `uint32`, `int32`, `float32`, `boolean`, `timestamp`,
+ * `bits`, `validity`, `mac` or `string`.
+ * @property {string} [property] A path to the value, e.g. `temperature` or `position.x`. Required for all types
+ * except `bits`.
+ * @property {Array<?string>} [bits] Paths to the values of the consecutive bits in case of the `bits` type.
+ * @property {Array<string>} [properties] Paths to the values of the consecutive bits in case of the `validity` type.
+ * A bit is set if the root property was received from the device (the `received` object of values)
+ * and the value is not `null`.
+ * @property {number} [length] The number of registers in case of the `string` type.
+ * @property {number} [scale=1] A number the value is multiplied by before writing.
+ * @property {number} [sentinel=0] A value written in place of an undefined value (before scaling).
+ * @property {Object<string, *>} [unscaledIf] Values of properties that, if all equal, disable the scaling.
+ * @property {string} [byteOrder] The order of bytes of a 32-bit value. Defaults to the byte order of the map.
+ * @property {{property: string, scale: number}} [fallback] A property (and its scale) written instead
+ * if the value of the `property` is not a number.
+ * @property {Object<string, string>} [fallbacks] Properties checked by the `bits` registers if the values
+ * of the specified bits are not set, e.g. `{input: 'magneticFieldDirection'}`.
+ */
+
+/**
+ * @typedef {Object} Register
+ * @property {number} address
+ * @property {number} size
+ * @property {string} type
+ * @property {string} name
+ * @property {Array<?Array<string>>} paths
+ * @property {Array<string>} roots
+ * @property {number} scale
+ * @property {?Object<string, *>} unscaledIf
+ * @property {number} sentinel
+ * @property {?number} typeSentinel
+ * @property {string} byteOrder
+ * @property {?Array<?string>} bits
+ * @property {?{path: Array<string>, scale: number}} fallback
+ * @property {?Array<?Array<string>>} fallbackPaths
+ */
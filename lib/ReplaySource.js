@@ -0,0 +1,270 @@
+// Part of <http://miracle.systems/p/h5.modbus.inode> licensed under <MIT>
+
+'use strict';
+
+const fs = require('fs');
+const EventEmitter = require('events').EventEmitter;
+const btsnoop = require('./btsnoop');
+
+/**
+ * An HCI data source replaying the packets recorded by the `HciRecorder` (or any btsnoop file
+ * with the H4 datalink) at the real or accelerated speed.
+ */
+class ReplaySource extends EventEmitter
+{
+  /**
+   * @param {ReplaySourceOptions} options
+   * @throws {Error} If the `file` option is not specified.
+   */
+  constructor(options)
+  {
+    super();
+
+    if (!options || !options.file)
+    {
+      throw new Error('The `file` option is required.');
+    }
+
+    /**
+     * @readonly
+     * @type {boolean}
+     */
+    this.hexEncoded = false;
+
+    /**
+     * @readonly
+     * @type {boolean}
+     */
+    this.writable = false;
+
+    /**
+     * @private
+     * @type {string}
+     */
+    this.file = options.file;
+
+    /**
+     * A speed multiplier or `0` to replay the packets as fast as possible.
+     *
+     * @private
+     * @type {number}
+     */
+    this.speed = options.speed != null ? options.speed : 1;
+
+    /**
+     * @private
+     * @type {boolean}
+     */
+    this.loop = !!options.loop;
+
+    /**
+     * @private
+     * @type {Array<BtsnoopRecord>}
+     */
+    this.records = [];
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.nextRecord = 0;
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.startedAt = 0;
+
+    /**
+     * @private
+     * @type {*}
+     */
+    this.timer = null;
+
+    /**
+     * @private
+     * @type {boolean}
+     */
+    this.open = false;
+  }
+
+  /**
+   * Reads the file and starts replaying. Emits `close` after the last packet unless the `loop` option is set.
+   *
+   * @param {function(?Error)} [done] Called after the file is read.
+   */
+  start(done)
+  {
+    if (this.open)
+    {
+      return;
+    }
+
+    fs.readFile(this.file, (err, buffer) =>
+    {
+      if (!err)
+      {
+        try
+        {
+          this.records = btsnoop.decode(buffer).filter(record => record.flags & btsnoop.Flag.Received);
+        }
+        catch (decodeErr)
+        {
+          err = decodeErr;
+        }
+      }
+
+      if (err)
+      {
+        if (done)
+        {
+          done(err);
+        }
+        else
+        {
+          this.emit('error', err);
+        }
+
+        return;
+      }
+
+      this.open = true;
+
+      this.emit('open');
+
+      if (done)
+      {
+        done(null);
+      }
+
+      this.restart();
+    });
+  }
+
+  destroy()
+  {
+    // The pending immediates are ignored after closing.
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    this.close();
+    this.removeAllListeners();
+
+    this.records = [];
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  isOpen()
+  {
+    return this.open;
+  }
+
+  /**
+   * @throws {Error} Always, because the device commands can't be delivered to a recording.
+   */
+  write()
+  {
+    throw new Error('The source is not writable.');
+  }
+
+  /**
+   * @private
+   */
+  close()
+  {
+    if (!this.open)
+    {
+      return;
+    }
+
+    this.open = false;
+
+    this.emit('close');
+  }
+
+  /**
+   * @private
+   */
+  restart()
+  {
+    if (!this.open)
+    {
+      return;
+    }
+
+    this.nextRecord = 0;
+    this.startedAt = Date.now();
+
+    this.scheduleNextRecord();
+  }
+
+  /**
+   * @private
+   */
+  scheduleNextRecord()
+  {
+    this.timer = null;
+
+    if (!this.open)
+    {
+      return;
+    }
+
+    if (this.nextRecord === this.records.length)
+    {
+      if (this.loop && this.records.length)
+      {
+        this.timer = setImmediate(this.restart.bind(this));
+      }
+      else
+      {
+        this.close();
+      }
+
+      return;
+    }
+
+    if (this.speed <= 0)
+    {
+      this.timer = setImmediate(this.emitNextRecord.bind(this));
+
+      return;
+    }
+
+    const offset = (this.records[this.nextRecord].time - this.records[0].time) / this.speed;
+    const delay = Math.max(0, this.startedAt + offset - Date.now());
+
+    this.timer = setTimeout(this.emitNextRecord.bind(this), delay);
+  }
+
+  /**
+   * @private
+   */
+  emitNextRecord()
+  {
+    if (!this.open)
+    {
+      return;
+    }
+
+    const record = this.records[this.nextRecord];
+
+    this.nextRecord += 1;
+
+    this.emit('data', record.packet);
+
+    this.scheduleNextRecord();
+  }
+}
+
+module.exports = ReplaySource;
+
+/**
+ * @typedef {Object} ReplaySourceOptions
+ * @property {string} file A path of the btsnoop file.
+ * @property {number} [speed=1] A speed multiplier, e.g. `10` to replay ten times faster,
+ * or `0` to replay the packets as fast as possible.
+ * @property {boolean} [loop=false] Whether to start over after the last packet.
+ */
@@ -0,0 +1,156 @@
+// Part of <http://miracle.systems/p/h5.modbus.inode> licensed under <MIT>
+
+'use strict';
+
+const StreamSource = require('./StreamSource');
+const scanCommands = require('./scanCommands');
+
+/**
+ * An HCI data source reading from a USB BLE dongle (or any Bluetooth controller) speaking H4 over a serial port.
+ * The controller is reset and put into the LE scanning mode each time the port is opened.
+ */
+class SerialSource extends StreamSource
+{
+  /**
+   * @param {SerialSourceOptions} options
+   * @throws {Error} If neither the `port` nor the `path` option is specified.
+   * @throws {Error} If the `path` is specified, but the `serialport` package is not installed.
+   */
+  constructor(options)
+  {
+    if (!options || (!options.port && !options.path))
+    {
+      throw new Error('Either the `port` or the `path` option is required.');
+    }
+
+    const port = options.port || createSerialPort(options.path, options.baudRate || 115200);
+
+    super({
+      stream: port,
+      hexEncoded: false,
+      writable: false,
+      open: typeof port.isOpen === 'function' ? port.isOpen() : !!port.isOpen
+    });
+
+    /**
+     * @private
+     * @type {Array<Buffer>}
+     */
+    this.scanCommands = scanCommands.create(options.scan);
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.commandDelay = options.commandDelay || 100;
+
+    /**
+     * @private
+     * @type {*}
+     */
+    this.commandTimer = null;
+
+    if (this.isOpen())
+    {
+      this.startScanning();
+    }
+  }
+
+  destroy()
+  {
+    clearTimeout(this.commandTimer);
+    this.commandTimer = null;
+
+    if (this.isOpen())
+    {
+      this.stream.write(scanCommands.createStop());
+    }
+
+    super.destroy();
+  }
+
+  /**
+   * @protected
+   */
+  onOpen()
+  {
+    super.onOpen();
+
+    this.startScanning();
+  }
+
+  /**
+   * @protected
+   */
+  onClose()
+  {
+    clearTimeout(this.commandTimer);
+    this.commandTimer = null;
+
+    super.onClose();
+  }
+
+  /**
+   * Writes the scan commands one by one, so that the controller has time to process each of them.
+   *
+   * @private
+   */
+  startScanning()
+  {
+    clearTimeout(this.commandTimer);
+
+    this.writeScanCommand(0);
+  }
+
+  /**
+   * @private
+   * @param {number} i
+   */
+  writeScanCommand(i)
+  {
+    this.commandTimer = null;
+
+    if (!this.isOpen() || i === this.scanCommands.length)
+    {
+      return;
+    }
+
+    this.stream.write(this.scanCommands[i]);
+
+    this.commandTimer = setTimeout(this.writeScanCommand.bind(this), this.commandDelay, i + 1);
+  }
+}
+
+module.exports = SerialSource;
+
+/**
+ * @private
+ * @param {string} path
+ * @param {number} baudRate
+ * @returns {DuplexStream}
+ * @throws {Error} If the `serialport` package is not installed.
+ */
+function createSerialPort(path, baudRate)
+{
+  let SerialPort;
+
+  try
+  {
+    SerialPort = require('serialport');
+  }
+  catch (err)
+  {
+    throw new Error('The `serialport` package is required to open a serial port by its path.');
+  }
+
+  return new SerialPort(path, {baudRate: baudRate});
+}
+
+/**
+ * @typedef {Object} SerialSourceOptions
+ * @property {string} [path] A path of the serial port, e.g. `/dev/ttyUSB0` or `COM3`.
+ * @property {number} [baudRate=115200]
+ * @property {DuplexStream} [port] An already created serial port (instead of the `path`).
+ * @property {ScanOptions} [scan]
+ * @property {number} [commandDelay=100] The number of milliseconds between the scan commands.
+ */
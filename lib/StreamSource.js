@@ -0,0 +1,155 @@
+// Part of <http://miracle.systems/p/h5.modbus.inode> licensed under <MIT>
+
+'use strict';
+
+const EventEmitter = require('events').EventEmitter;
+
+/**
+ * An HCI data source reading from a readable stream (e.g. a file, a pipe or `process.stdin`).
+ * Can be added to a `Gateway` like an iNode LAN connection.
+ */
+class StreamSource extends EventEmitter
+{
+  /**
+   * @param {StreamSourceOptions} options
+   * @throws {Error} If the `stream` option is not specified.
+   */
+  constructor(options)
+  {
+    super();
+
+    if (!options || !options.stream)
+    {
+      throw new Error('The `stream` option is required.');
+    }
+
+    /**
+     * Whether the data emitted by the source is hex encoded.
+     *
+     * @readonly
+     * @type {boolean}
+     */
+    this.hexEncoded = !!options.hexEncoded;
+
+    /**
+     * Whether the `Gateway` can write device commands to the source.
+     *
+     * @readonly
+     * @type {boolean}
+     */
+    this.writable = !!options.writable;
+
+    /**
+     * @protected
+     * @type {?(ReadableStream|DuplexStream)}
+     */
+    this.stream = options.stream;
+
+    /**
+     * @private
+     * @type {boolean}
+     */
+    this.open = options.open !== false;
+
+    /**
+     * @private
+     * @type {Object<string, function>}
+     */
+    this.streamListeners = {
+      open: this.onOpen.bind(this),
+      close: this.onClose.bind(this),
+      end: this.onClose.bind(this),
+      error: this.emit.bind(this, 'error'),
+      data: this.emit.bind(this, 'data')
+    };
+
+    Object.keys(this.streamListeners).forEach(eventName => this.stream.on(eventName, this.streamListeners[eventName]));
+  }
+
+  destroy()
+  {
+    if (!this.stream)
+    {
+      return;
+    }
+
+    const stream = this.stream;
+
+    Object.keys(this.streamListeners).forEach(eventName => stream.removeListener(eventName, this.streamListeners[eventName]));
+    stream.on('error', () => {});
+
+    this.stream = null;
+    this.open = false;
+
+    if (typeof stream.destroy === 'function')
+    {
+      stream.destroy();
+    }
+    else if (typeof stream.close === 'function')
+    {
+      stream.close();
+    }
+
+    this.removeAllListeners();
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  isOpen()
+  {
+    return this.open;
+  }
+
+  /**
+   * @param {Buffer} data
+   * @throws {Error} If the source isn't writable.
+   */
+  write(data)
+  {
+    if (!this.writable)
+    {
+      throw new Error('The source is not writable.');
+    }
+
+    if (this.open)
+    {
+      this.stream.write(data);
+    }
+  }
+
+  /**
+   * @protected
+   */
+  onOpen()
+  {
+    this.open = true;
+
+    this.emit('open');
+  }
+
+  /**
+   * @protected
+   */
+  onClose()
+  {
+    if (!this.open)
+    {
+      return;
+    }
+
+    this.open = false;
+
+    this.emit('close');
+  }
+}
+
+module.exports = StreamSource;
+
+/**
+ * @typedef {Object} StreamSourceOptions
+ * @property {(ReadableStream|DuplexStream)} stream
+ * @property {boolean} [hexEncoded=false] Whether the stream data is hex encoded.
+ * @property {boolean} [writable=false] Whether the device commands can be written to the stream.
+ * @property {boolean} [open=true] Whether the stream is already open (`false` if it emits the `open` event later).
+ */
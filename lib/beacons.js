@@ -0,0 +1,213 @@
+// Part of <http://miracle.systems/p/h5.modbus.inode> licensed under <MIT>
+
+'use strict';
+
+const btHci = require('h5.bluetooth.hci');
+
+const EirDataType = btHci.EirDataType;
+
+const APPLE_COMPANY_ID = 0x004C;
+const RUUVI_COMPANY_ID = 0x0499;
+const EDDYSTONE_SERVICE_UUID = 0xFEAA;
+
+const IBEACON_TYPE = 0x02;
+const IBEACON_LENGTH = 0x15;
+const RUUVI_RAW_V2_FORMAT = 0x05;
+const RUUVI_RAW_V2_LENGTH = 24;
+
+/**
+ * Models of the supported non-iNode beacons. Used as the `model` of a `BeaconDevice` and chosen outside the range
+ * of the iNode device models.
+ *
+ * @enum {number}
+ */
+const BeaconModel = exports.BeaconModel = {
+  IBeacon: 0xFF01,
+  Eddystone: 0xFF02,
+  RuuviTag: 0xFF03
+};
+
+/**
+ * @private
+ * @enum {number}
+ */
+const EddystoneFrameType = {
+  Uid: 0x00,
+  Tlm: 0x20
+};
+
+/**
+ * Decodes the beacon data of the specified EIR data structure.
+ *
+ * @param {EirDataStructure} eirDataStructure
+ * @returns {?BeaconData} The beacon model and the decoded values or `null` if the data structure
+ * isn't a supported beacon payload.
+ */
+exports.decode = function(eirDataStructure)
+{
+  if (!Buffer.isBuffer(eirDataStructure.data))
+  {
+    return null;
+  }
+
+  if (eirDataStructure.type === EirDataType.ManufacturerSpecificData)
+  {
+    switch (eirDataStructure.companyIdentifier)
+    {
+      case APPLE_COMPANY_ID:
+        return decodeIBeacon(eirDataStructure.data);
+
+      case RUUVI_COMPANY_ID:
+        return decodeRuuviRawV2(eirDataStructure.data);
+    }
+  }
+
+  if (eirDataStructure.type === EirDataType.ServiceData16 && eirDataStructure.uuid === EDDYSTONE_SERVICE_UUID)
+  {
+    return decodeEddystone(eirDataStructure.data);
+  }
+
+  return null;
+};
+
+/**
+ * @private
+ * @param {Buffer} data
+ * @returns {?BeaconData}
+ */
+function decodeIBeacon(data)
+{
+  if (data.length < 23 || data[0] !== IBEACON_TYPE || data[1] !== IBEACON_LENGTH)
+  {
+    return null;
+  }
+
+  const uuid = data.toString('hex', 2, 18).toUpperCase();
+
+  return {
+    model: BeaconModel.IBeacon,
+    values: {
+      uuid: [
+        uuid.substr(0, 8),
+        uuid.substr(8, 4),
+        uuid.substr(12, 4),
+        uuid.substr(16, 4),
+        uuid.substr(20)
+      ].join('-'),
+      major: data.readUInt16BE(18, true),
+      minor: data.readUInt16BE(20, true),
+      measuredPower: data.readInt8(22, true)
+    }
+  };
+}
+
+/**
+ * Decodes the UID and TLM frames. Other frames (e.g. URL) are recognized, but have no values.
+ *
+ * @private
+ * @param {Buffer} data
+ * @returns {?BeaconData}
+ */
+function decodeEddystone(data)
+{
+  if (data.length < 1)
+  {
+    return null;
+  }
+
+  const values = {};
+
+  if (data[0] === EddystoneFrameType.Uid && data.length >= 18)
+  {
+    values.rangingPower = data.readInt8(1, true);
+    values.namespace = data.toString('hex', 2, 12).toUpperCase();
+    values.instance = data.toString('hex', 12, 18).toUpperCase();
+  }
+  else if (data[0] === EddystoneFrameType.Tlm && data.length >= 14)
+  {
+    const batteryVoltage = data.readUInt16BE(2, true);
+    const temperature = data.readInt16BE(4, true);
+
+    values.batteryVoltage = batteryVoltage === 0 ? null : batteryVoltage / 1000;
+    values.temperature = temperature === -0x8000 ? null : temperature / 256;
+    values.advertisingCount = data.readUInt32BE(6, true);
+    values.uptime = Math.floor(data.readUInt32BE(10, true) / 10);
+  }
+
+  return {
+    model: BeaconModel.Eddystone,
+    values: values
+  };
+}
+
+/**
+ * Decodes the RuuviTag data format 5 (RAWv2). Invalid values are decoded as `null`.
+ *
+ * @private
+ * @param {Buffer} data
+ * @returns {?BeaconData}
+ */
+function decodeRuuviRawV2(data)
+{
+  if (data.length < RUUVI_RAW_V2_LENGTH || data[0] !== RUUVI_RAW_V2_FORMAT)
+  {
+    return null;
+  }
+
+  const temperature = data.readInt16BE(1, true);
+  const humidity = data.readUInt16BE(3, true);
+  const pressure = data.readUInt16BE(5, true);
+  const powerInfo = data.readUInt16BE(13, true);
+  const batteryVoltage = powerInfo >> 5;
+  const txPower = powerInfo & 0x1F;
+  const movementCounter = data[15];
+  const measurementSequence = data.readUInt16BE(16, true);
+
+  return {
+    model: BeaconModel.RuuviTag,
+    values: {
+      temperature: temperature === -0x8000 ? null : temperature * 0.005,
+      humidity: humidity === 0xFFFF ? null : humidity * 0.0025,
+      pressure: pressure === 0xFFFF ? null : (pressure + 50000) / 100,
+      acceleration: {
+        x: readRuuviAcceleration(data, 7),
+        y: readRuuviAcceleration(data, 9),
+        z: readRuuviAcceleration(data, 11)
+      },
+      batteryVoltage: batteryVoltage === 0x7FF ? null : (batteryVoltage + 1600) / 1000,
+      txPower: txPower === 0x1F ? null : txPower * 2 - 40,
+      movementCounter: movementCounter === 0xFF ? null : movementCounter,
+      measurementSequence: measurementSequence === 0xFFFF ? null : measurementSequence
+    }
+  };
+}
+
+/**
+ * @private
+ * @param {Buffer} data
+ * @param {number} offset
+ * @returns {?number} The acceleration in mG or `null` if invalid.
+ */
+function readRuuviAcceleration(data, offset)
+{
+  const value = data.readInt16BE(offset, true);
+
+  return value === -0x8000 ? null : value;
+}
+
+/**
+ * @typedef {Object} BeaconData
+ * @property {BeaconModel} model
+ * @property {Object} values The decoded values by their state property names.
+ */
+
+/**
+ * The EIR data structures are expected to be decoded by `h5.bluetooth.hci` with the raw payload bytes in `data`:
+ * the manufacturer specific data with its `companyIdentifier` and the 16-bit UUID service data with its `uuid`.
+ *
+ * @typedef {Object} EirDataStructure
+ * @property {EirDataType} type
+ * @property {number} [companyIdentifier]
+ * @property {number} [uuid]
+ * @property {Buffer} [data]
+ */
@@ -0,0 +1,121 @@
+// Part of <http://miracle.systems/p/h5.modbus.inode> licensed under <MIT>
+
+'use strict';
+
+const IDENTIFICATION = new Buffer('btsnoop\0', 'binary');
+const VERSION = 1;
+const DATALINK_H4 = 1002;
+const HEADER_LENGTH = 16;
+const RECORD_HEADER_LENGTH = 24;
+const UINT32_RANGE = 0x100000000;
+
+/**
+ * The high and low 32 bits of the number of microseconds between 0000-01-01 and 1970-01-01.
+ *
+ * @private
+ * @type {Array<number>}
+ */
+const EPOCH_OFFSET = [0x00DCDDB3, 0x0F2F8000];
+
+/**
+ * Record flags.
+ *
+ * @enum {number}
+ */
+const Flag = exports.Flag = {
+  Received: 0x01,
+  CommandOrEvent: 0x02
+};
+
+/**
+ * @returns {Buffer} The header of a btsnoop file with the H4 (HCI UART) datalink.
+ */
+exports.encodeHeader = function()
+{
+  const header = new Buffer(HEADER_LENGTH);
+
+  IDENTIFICATION.copy(header, 0);
+  header.writeUInt32BE(VERSION, 8, true);
+  header.writeUInt32BE(DATALINK_H4, 12, true);
+
+  return header;
+};
+
+/**
+ * @param {Buffer} packet An H4 framed HCI packet received from a controller.
+ * @param {number} time A number of milliseconds since the Unix epoch.
+ * @returns {Buffer}
+ */
+exports.encodeRecord = function(packet, time)
+{
+  const record = new Buffer(RECORD_HEADER_LENGTH + packet.length);
+  const microseconds = Math.round(time * 1000);
+  const low = EPOCH_OFFSET[1] + microseconds % UINT32_RANGE;
+  const high = EPOCH_OFFSET[0] + Math.floor(microseconds / UINT32_RANGE) + Math.floor(low / UINT32_RANGE);
+  const commandOrEvent = packet[0] === 0x01 || packet[0] === 0x04;
+
+  record.writeUInt32BE(packet.length, 0, true);
+  record.writeUInt32BE(packet.length, 4, true);
+  record.writeUInt32BE(Flag.Received | (commandOrEvent ? Flag.CommandOrEvent : 0), 8, true);
+  record.writeUInt32BE(0, 12, true);
+  record.writeUInt32BE(high, 16, true);
+  record.writeUInt32BE(low % UINT32_RANGE, 20, true);
+  packet.copy(record, RECORD_HEADER_LENGTH);
+
+  return record;
+};
+
+/**
+ * @param {Buffer} buffer The contents of a btsnoop file.
+ * @returns {Array<BtsnoopRecord>}
+ * @throws {Error} If the specified `buffer` is not a btsnoop file with the H4 datalink.
+ */
+exports.decode = function(buffer)
+{
+  if (buffer.length < HEADER_LENGTH || !buffer.slice(0, IDENTIFICATION.length).equals(IDENTIFICATION))
+  {
+    throw new Error('Not a btsnoop file.');
+  }
+
+  const datalink = buffer.readUInt32BE(12, true);
+
+  if (datalink !== DATALINK_H4)
+  {
+    throw new Error(`Unsupported btsnoop datalink type: ${datalink}. Expected ${DATALINK_H4} (H4).`);
+  }
+
+  const records = [];
+  let offset = HEADER_LENGTH;
+
+  // A truncated last record (e.g. of a recording that was interrupted) is ignored.
+  while (offset + RECORD_HEADER_LENGTH <= buffer.length)
+  {
+    const includedLength = buffer.readUInt32BE(offset + 4, true);
+    const end = offset + RECORD_HEADER_LENGTH + includedLength;
+
+    if (end > buffer.length)
+    {
+      break;
+    }
+
+    const high = buffer.readUInt32BE(offset + 16, true) - EPOCH_OFFSET[0];
+    const low = buffer.readUInt32BE(offset + 20, true) - EPOCH_OFFSET[1];
+
+    records.push({
+      time: (high * UINT32_RANGE + low) / 1000,
+      flags: buffer.readUInt32BE(offset + 8, true),
+      packet: buffer.slice(offset + RECORD_HEADER_LENGTH, end)
+    });
+
+    offset = end;
+  }
+
+  return records;
+};
+
+/**
+ * @typedef {Object} BtsnoopRecord
+ * @property {number} time A number of milliseconds since the Unix epoch.
+ * @property {number} flags
+ * @property {Buffer} packet
+ */
@@ -0,0 +1,24 @@
+// Part of <http://miracle.systems/p/h5.modbus.inode> licensed under <MIT>
+
+'use strict';
+
+/**
+ * Types of the commands created from the MODBUS writes. The iNode LANs don't document a format for sending
+ * the commands to the devices, so the commands are encoded by the `commandEncoder` option of the `Gateway`
+ * in a format understood by the used iNode LAN firmware (or another HCI source).
+ *
+ * @enum {number}
+ */
+exports.CommandType = {
+  SetOutput: 0x01,
+  ResetAlarms: 0x02,
+  ResetCounters: 0x03
+};
+
+/**
+ * @typedef {Object} DeviceCommand
+ * @property {(CommandType|number)} type One of the `CommandType`s or a type defined by the `encode` function
+ * of a custom model (see `Device.registerModel()`), which can also add its own properties.
+ * @property {boolean} [output] The new output state in case of `SetOutput`.
+ * @property {number} [previousSum] The total value at the time of sending `ResetCounters`.
+ */
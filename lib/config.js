@@ -0,0 +1,638 @@
+// Part of <http://miracle.systems/p/h5.modbus.inode> licensed under <MIT>
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const helpers = require('./helpers');
+const Device = require('./Device');
+const BeaconDevice = require('./BeaconDevice');
+const AutoEnrolment = require('./AutoEnrolment');
+
+/**
+ * @private
+ * @type {Array<string>}
+ */
+const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+
+/**
+ * @private
+ * @type {Array<string>}
+ */
+const TOP_LEVEL_KEYS = ['modbus', 'hexEncoded', 'logLevel', 'gateway', 'connections', 'devices'];
+
+/**
+ * @private
+ * @type {Array<string>}
+ */
+const DEVICE_TYPES = ['inode', 'beacon'];
+
+/**
+ * @private
+ * @type {Object<string, function(new:Device, string, number, Object)>}
+ */
+const DEVICE_CLASSES = {
+  inode: Device,
+  beacon: BeaconDevice
+};
+
+/**
+ * @private
+ * @type {Array<string>}
+ */
+const GATEWAY_KEYS = [
+  'commandEncoder',
+  'diagnosticsUnit',
+  'autoEnrolment',
+  'stateFile',
+  'stateSaveInterval',
+  'alarmCheckInterval',
+  'connectionStaleTimeout',
+  'connectionCheckInterval',
+  'unknownDeviceHandler'
+];
+
+/**
+ * @private
+ * @type {Array<string>}
+ */
+const GATEWAY_INTERVAL_KEYS = ['stateSaveInterval', 'alarmCheckInterval', 'connectionCheckInterval'];
+
+/**
+ * @type {Array<string>}
+ */
+exports.LOG_LEVELS = LOG_LEVELS;
+
+/**
+ * @type {Array<string>}
+ */
+exports.DEVICE_TYPES = DEVICE_TYPES;
+
+/**
+ * Reads and validates the specified JSON or YAML (`.yaml` or `.yml`) configuration file.
+ *
+ * @param {string} file
+ * @returns {GatewayConfig}
+ * @throws {Error} If the file can't be read or parsed.
+ * @throws {Error} If the `js-yaml` package is required, but not installed.
+ * @throws {Error} If the configuration is invalid.
+ */
+exports.load = function(file)
+{
+  let contents;
+
+  try
+  {
+    contents = fs.readFileSync(file, 'utf8');
+  }
+  catch (err)
+  {
+    throw new Error(`Failed to read the config file [${file}]: ${err.message}`);
+  }
+
+  const extension = path.extname(file).toLowerCase();
+  const parse = extension === '.yaml' || extension === '.yml' ? createYamlParser() : JSON.parse;
+  let config;
+
+  try
+  {
+    config = parse(contents);
+  }
+  catch (err)
+  {
+    throw new Error(`Failed to parse the config file [${file}]: ${err.message}`);
+  }
+
+  return exports.validate(config, path.dirname(path.resolve(file)));
+};
+
+/**
+ * Validates the specified configuration and fills in the defaults.
+ *
+ * @param {Object} config
+ * @param {string} [baseDir] A directory the relative module paths are resolved against (defaults to the current
+ * working directory).
+ * @returns {GatewayConfig}
+ * @throws {Error} If the configuration is invalid. The message lists all the problems found.
+ */
+exports.validate = function(config, baseDir)
+{
+  const errors = [];
+
+  if (!isObject(config))
+  {
+    throw new Error('Invalid config: expected an object.');
+  }
+
+  Object.keys(config).forEach(key =>
+  {
+    if (TOP_LEVEL_KEYS.indexOf(key) === -1)
+    {
+      errors.push(`${key}: unknown option. Expected one of: ${TOP_LEVEL_KEYS.join(', ')}.`);
+    }
+  });
+
+  const result = {
+    modbus: validateModbus(config.modbus, errors),
+    hexEncoded: config.hexEncoded !== false,
+    logLevel: config.logLevel == null ? 'info' : config.logLevel,
+    gateway: validateGateway(config.gateway, baseDir || process.cwd(), errors),
+    connections: [],
+    devices: []
+  };
+
+  if (config.hexEncoded != null && typeof config.hexEncoded !== 'boolean')
+  {
+    errors.push(`hexEncoded: expected a boolean, but got: ${JSON.stringify(config.hexEncoded)}.`);
+  }
+
+  if (LOG_LEVELS.indexOf(result.logLevel) === -1)
+  {
+    errors.push(`logLevel: expected one of: ${LOG_LEVELS.join(', ')}, but got: ${JSON.stringify(result.logLevel)}.`);
+  }
+
+  result.connections = validateArray(config.connections, 'connections', validateConnection, errors);
+  result.devices = validateArray(config.devices, 'devices', validateDevice, errors);
+
+  checkDuplicates(result.devices, 'mac', errors);
+  checkDuplicates(result.devices, 'unit', errors);
+
+  if (errors.length)
+  {
+    throw new Error(`Invalid config:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+  }
+
+  return result;
+};
+
+/**
+ * @private
+ * @returns {function(string): *}
+ * @throws {Error} If the `js-yaml` package is not installed.
+ */
+function createYamlParser()
+{
+  let yaml;
+
+  try
+  {
+    yaml = require('js-yaml');
+  }
+  catch (err)
+  {
+    throw new Error('The `js-yaml` package is required to read a YAML config file.');
+  }
+
+  return contents => yaml.load(contents, {schema: yaml.CORE_SCHEMA});
+}
+
+/**
+ * @private
+ * @param {*} modbus
+ * @param {Array<string>} errors
+ * @returns {{host: string, port: number}}
+ */
+function validateModbus(modbus, errors)
+{
+  const result = {
+    host: '0.0.0.0',
+    port: 502
+  };
+
+  if (modbus == null)
+  {
+    return result;
+  }
+
+  if (!isObject(modbus))
+  {
+    errors.push('modbus: expected an object with the `host` and `port` to listen on.');
+
+    return result;
+  }
+
+  if (modbus.host != null)
+  {
+    if (typeof modbus.host !== 'string' || modbus.host === '')
+    {
+      errors.push(`modbus.host: expected a host name or an IP address, but got: ${JSON.stringify(modbus.host)}.`);
+    }
+
+    result.host = modbus.host;
+  }
+
+  if (modbus.port != null)
+  {
+    validatePort(modbus.port, 'modbus.port', errors);
+
+    result.port = modbus.port;
+  }
+
+  return result;
+}
+
+/**
+ * @private
+ * @param {*} gateway
+ * @param {string} baseDir
+ * @param {Array<string>} errors
+ * @returns {GatewayOptions}
+ */
+function validateGateway(gateway, baseDir, errors)
+{
+  if (gateway == null)
+  {
+    return {};
+  }
+
+  if (!isObject(gateway))
+  {
+    errors.push('gateway: expected an object of the Gateway options.');
+
+    return {};
+  }
+
+  const result = Object.assign({}, gateway);
+
+  Object.keys(gateway).forEach(key =>
+  {
+    if (GATEWAY_KEYS.indexOf(key) === -1)
+    {
+      errors.push(`gateway.${key}: unknown option. Expected one of: ${GATEWAY_KEYS.join(', ')}.`);
+    }
+  });
+
+  if (gateway.commandEncoder != null && typeof gateway.commandEncoder !== 'function')
+  {
+    result.commandEncoder = loadCommandEncoder(gateway.commandEncoder, baseDir, errors);
+  }
+
+  if (gateway.diagnosticsUnit != null
+    && (!Number.isInteger(gateway.diagnosticsUnit) || gateway.diagnosticsUnit < 0 || gateway.diagnosticsUnit > 0xFF))
+  {
+    errors.push(
+      `gateway.diagnosticsUnit: expected an integer between 0 and 255, but got: ${JSON.stringify(gateway.diagnosticsUnit)}.`
+    );
+  }
+
+  if (gateway.stateFile != null && (typeof gateway.stateFile !== 'string' || gateway.stateFile === ''))
+  {
+    errors.push(`gateway.stateFile: expected a path to a JSON file, but got: ${JSON.stringify(gateway.stateFile)}.`);
+  }
+
+  GATEWAY_INTERVAL_KEYS.forEach(key =>
+  {
+    if (gateway[key] != null && (!Number.isInteger(gateway[key]) || gateway[key] < 1))
+    {
+      errors.push(`gateway.${key}: expected a positive integer, but got: ${JSON.stringify(gateway[key])}.`);
+    }
+  });
+
+  if (gateway.connectionStaleTimeout != null
+    && (!Number.isInteger(gateway.connectionStaleTimeout) || gateway.connectionStaleTimeout < 0))
+  {
+    errors.push(
+      'gateway.connectionStaleTimeout: expected a non-negative integer, '
+      + `but got: ${JSON.stringify(gateway.connectionStaleTimeout)}.`
+    );
+  }
+
+  if (gateway.autoEnrolment != null)
+  {
+    validateAutoEnrolment(gateway.autoEnrolment, errors);
+  }
+
+  return result;
+}
+
+/**
+ * Creates the `AutoEnrolment` and a `Device` with its `deviceOptions` to report the errors of their constructors.
+ *
+ * @private
+ * @param {*} autoEnrolment
+ * @param {Array<string>} errors
+ */
+function validateAutoEnrolment(autoEnrolment, errors)
+{
+  if (!isObject(autoEnrolment))
+  {
+    errors.push('gateway.autoEnrolment: expected an object of the auto enrolment options.');
+
+    return;
+  }
+
+  try
+  {
+    new AutoEnrolment(autoEnrolment).destroy();
+  }
+  catch (err)
+  {
+    errors.push(`gateway.autoEnrolment: ${err.message}`);
+
+    return;
+  }
+
+  if (autoEnrolment.deviceOptions != null)
+  {
+    const key = 'gateway.autoEnrolment.deviceOptions';
+
+    validateDeviceOptions(Device, '00:00:00:00:00:00', autoEnrolment.deviceOptions, key, errors);
+  }
+}
+
+/**
+ * @private
+ * @param {*} modulePath A path to a module exporting the `commandEncoder` function, relative to the `baseDir`,
+ * or a name of an installed package.
+ * @param {string} baseDir
+ * @param {Array<string>} errors
+ * @returns {?function(Device, DeviceCommand): Buffer}
+ */
+function loadCommandEncoder(modulePath, baseDir, errors)
+{
+  if (typeof modulePath !== 'string' || modulePath === '')
+  {
+    errors.push(`gateway.commandEncoder: expected a path to a module, but got: ${JSON.stringify(modulePath)}.`);
+
+    return null;
+  }
+
+  const isPath = modulePath.charAt(0) === '.' || path.isAbsolute(modulePath);
+  let encodeCommand;
+
+  try
+  {
+    encodeCommand = require(isPath ? path.resolve(baseDir, modulePath) : modulePath);
+  }
+  catch (err)
+  {
+    errors.push(`gateway.commandEncoder: failed to load the encoder module [${modulePath}]: ${err.message.split('\n')[0]}`);
+
+    return null;
+  }
+
+  if (typeof encodeCommand !== 'function')
+  {
+    errors.push(`gateway.commandEncoder: expected the module [${modulePath}] to export a function.`);
+
+    return null;
+  }
+
+  return encodeCommand;
+}
+
+/**
+ * @private
+ * @param {*} connection A connection object or a `host[:port]` string.
+ * @param {string} key
+ * @param {Array<string>} errors
+ * @returns {ConnectionConfig}
+ */
+function validateConnection(connection, key, errors)
+{
+  if (typeof connection === 'string')
+  {
+    const parts = connection.split(':');
+
+    connection = {host: parts[0]};
+
+    if (parts.length > 1)
+    {
+      connection.port = /^[0-9]+$/.test(parts[1]) ? parseInt(parts[1], 10) : parts[1];
+    }
+  }
+
+  if (!isObject(connection))
+  {
+    errors.push(`${key}: expected an object with the iNode LAN \`host\` and \`port\` or a \`host:port\` string.`);
+
+    return null;
+  }
+
+  const result = {
+    host: connection.host,
+    port: connection.port == null ? 5500 : connection.port,
+    noActivityTime: connection.noActivityTime == null ? 10000 : connection.noActivityTime
+  };
+
+  if (typeof connection.host !== 'string' || connection.host === '')
+  {
+    errors.push(`${key}.host: expected a host name or an IP address, but got: ${JSON.stringify(connection.host)}.`);
+  }
+
+  validatePort(result.port, `${key}.port`, errors);
+
+  if (typeof result.noActivityTime !== 'number' || result.noActivityTime < 0)
+  {
+    errors.push(`${key}.noActivityTime: expected a non-negative number of milliseconds.`);
+  }
+
+  if (connection.hexEncoded != null)
+  {
+    if (typeof connection.hexEncoded !== 'boolean')
+    {
+      errors.push(`${key}.hexEncoded: expected a boolean, but got: ${JSON.stringify(connection.hexEncoded)}.`);
+    }
+
+    result.hexEncoded = connection.hexEncoded;
+  }
+
+  return result;
+}
+
+/**
+ * @private
+ * @param {*} device
+ * @param {string} key
+ * @param {Array<string>} errors
+ * @returns {?DeviceConfig}
+ */
+function validateDevice(device, key, errors)
+{
+  if (!isObject(device))
+  {
+    errors.push(`${key}: expected an object with the device \`mac\`, \`unit\` and optional \`options\`.`);
+
+    return null;
+  }
+
+  const result = {
+    mac: device.mac,
+    unit: device.unit,
+    type: device.type == null ? 'inode' : device.type,
+    options: device.options == null ? {} : device.options
+  };
+
+  let validMac = true;
+
+  try
+  {
+    result.mac = helpers.prepareMacAddress(String(device.mac));
+  }
+  catch (err)
+  {
+    validMac = false;
+
+    errors.push(`${key}.mac: expected a MAC address, e.g. 00:12:6F:6D:3E:06, but got: ${JSON.stringify(device.mac)}.`);
+  }
+
+  if (!Number.isInteger(device.unit) || device.unit < 0 || device.unit > 0xFF)
+  {
+    errors.push(`${key}.unit: expected an integer between 0 and 255, but got: ${JSON.stringify(device.unit)}.`);
+  }
+
+  if (DEVICE_TYPES.indexOf(result.type) === -1)
+  {
+    errors.push(`${key}.type: expected one of: ${DEVICE_TYPES.join(', ')}, but got: ${JSON.stringify(result.type)}.`);
+  }
+
+  // The options can't be checked by creating a device without a valid MAC address and type.
+  const DeviceClass = validMac && DEVICE_TYPES.indexOf(result.type) !== -1 ? DEVICE_CLASSES[result.type] : null;
+
+  validateDeviceOptions(DeviceClass, result.mac, result.options, `${key}.options`, errors);
+
+  return result;
+}
+
+/**
+ * Creates a device with the specified options to report the errors of its constructor, e.g. an invalid register map,
+ * deadband or alarm rule.
+ *
+ * @private
+ * @param {?function(new:Device, string, number, Object)} DeviceClass
+ * @param {string} mac
+ * @param {*} options
+ * @param {string} key
+ * @param {Array<string>} errors
+ */
+function validateDeviceOptions(DeviceClass, mac, options, key, errors)
+{
+  if (!isObject(options))
+  {
+    errors.push(`${key}: expected an object of the Device options.`);
+
+    return;
+  }
+
+  if (!DeviceClass)
+  {
+    return;
+  }
+
+  try
+  {
+    new DeviceClass(mac, 0, options).destroy();
+  }
+  catch (err)
+  {
+    errors.push(`${key}: ${err.message}`);
+  }
+}
+
+/**
+ * @private
+ * @param {*} items
+ * @param {string} key
+ * @param {function(*, string, Array<string>): *} validateItem
+ * @param {Array<string>} errors
+ * @returns {Array}
+ */
+function validateArray(items, key, validateItem, errors)
+{
+  if (items == null)
+  {
+    return [];
+  }
+
+  if (!Array.isArray(items))
+  {
+    errors.push(`${key}: expected an array.`);
+
+    return [];
+  }
+
+  return items.map((item, i) => validateItem(item, `${key}[${i}]`, errors)).filter(item => item !== null);
+}
+
+/**
+ * @private
+ * @param {*} port
+ * @param {string} key
+ * @param {Array<string>} errors
+ */
+function validatePort(port, key, errors)
+{
+  if (!Number.isInteger(port) || port < 1 || port > 0xFFFF)
+  {
+    errors.push(`${key}: expected an integer between 1 and 65535, but got: ${JSON.stringify(port)}.`);
+  }
+}
+
+/**
+ * @private
+ * @param {Array<DeviceConfig>} devices
+ * @param {string} property
+ * @param {Array<string>} errors
+ */
+function checkDuplicates(devices, property, errors)
+{
+  const seen = new Map();
+
+  devices.forEach((device, i) =>
+  {
+    const value = device[property];
+
+    if (value == null)
+    {
+      return;
+    }
+
+    if (seen.has(value))
+    {
+      errors.push(`devices[${i}].${property}: duplicate of devices[${seen.get(value)}].${property}: ${value}.`);
+    }
+    else
+    {
+      seen.set(value, i);
+    }
+  });
+}
+
+/**
+ * @private
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isObject(value)
+{
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * @typedef {Object} GatewayConfig
+ * @property {{host: string, port: number}} modbus The address the MODBUS TCP slave listens on
+ * (defaults to `0.0.0.0:502`).
+ * @property {boolean} hexEncoded Whether the data of the iNode LAN connections is hex encoded (defaults to `true`).
+ * @property {string} logLevel One of `error`, `warn`, `info` (default) or `debug`.
+ * @property {GatewayOptions} gateway Other options passed to the `Gateway` constructor. The `commandEncoder`
+ * is loaded from the specified module path.
+ * @property {Array<ConnectionConfig>} connections
+ * @property {Array<DeviceConfig>} devices
+ */
+
+/**
+ * @typedef {Object} ConnectionConfig
+ * @property {string} host
+ * @property {number} port Defaults to `5500`.
+ * @property {number} noActivityTime Defaults to `10000`.
+ * @property {boolean} [hexEncoded] Overrides the `hexEncoded` option of the gateway.
+ */
+
+/**
+ * @typedef {Object} DeviceConfig
+ * @property {string} mac
+ * @property {number} unit
+ * @property {string} type `inode` (default) for the iNode devices or `beacon` for the iBeacon, Eddystone
+ * and RuuviTag beacons decoded by the `BeaconDevice`.
+ * @property {Object} options Options passed to the `Device` constructor.
+ */
@@ -2,6 +2,8 @@
 
 'use strict';
 
+const fs = require('fs');
+
 /**
  * @param {string} macAddress
  * @returns {string}
@@ -26,3 +28,41 @@ exports.prepareMacAddress = function(macAddress)
     })
     .join(':');
 };
+
+/**
+ * Writes the specified data to a temporary file and then renames it to the specified file, so that the file
+ * is never left partially written.
+ *
+ * @param {string} file
+ * @param {(string|Buffer)} data
+ * @param {function(?Error)} done
+ */
+exports.writeFileAtomically = function(file, data, done)
+{
+  const tmpFile = `${file}.tmp`;
+
+  fs.writeFile(tmpFile, data, err =>
+  {
+    if (err)
+    {
+      done(err);
+
+      return;
+    }
+
+    fs.rename(tmpFile, file, done);
+  });
+};
+
+/**
+ * @param {string} file
+ * @param {(string|Buffer)} data
+ * @throws {Error} If writing or renaming the file fails.
+ */
+exports.writeFileAtomicallySync = function(file, data)
+{
+  const tmpFile = `${file}.tmp`;
+
+  fs.writeFileSync(tmpFile, data);
+  fs.renameSync(tmpFile, file);
+};
@@ -7,6 +7,32 @@ const iNodeHci = require('h5.bluetooth.hci.inode');
 
 iNodeHci.registerManufacturerSpecificDataDecoder(hci.decoders.eirDataType);
 
+exports.commands = require('./commands');
+
+exports.config = require('./config');
+
+exports.RegisterMap = require('./RegisterMap');
+
+exports.registerMaps = require('./registerMaps');
+
+exports.beacons = require('./beacons');
+
 exports.Device = require('./Device');
 
+exports.BeaconDevice = require('./BeaconDevice');
+
 exports.Gateway = require('./Gateway');
+
+exports.HttpApi = require('./HttpApi');
+
+exports.MqttBridge = require('./MqttBridge');
+
+exports.StreamSource = require('./StreamSource');
+
+exports.SerialSource = require('./SerialSource');
+
+exports.HciSocketSource = require('./HciSocketSource');
+
+exports.HciRecorder = require('./HciRecorder');
+
+exports.ReplaySource = require('./ReplaySource');
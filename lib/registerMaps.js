@@ -0,0 +1,281 @@
+// Part of <http://miracle.systems/p/h5.modbus.inode> licensed under <MIT>
+
+'use strict';
+
+const ALARM_BITS = [
+  'alarms.lowBattery',
+  'alarms.moveAccelerometer',
+  'alarms.levelAccelerometer',
+  'alarms.levelTemperature',
+  'alarms.levelHumidity',
+  'alarms.contactChange',
+  'alarms.moveStopped',
+  'alarms.moveGTimer',
+  'alarms.levelAccelerometerChange',
+  'alarms.levelMagnetChange',
+  'alarms.levelMagnetTimer'
+];
+
+const GATEWAY_ALARM_BITS = [
+  'gatewayAlarms.0',
+  'gatewayAlarms.1',
+  'gatewayAlarms.2',
+  'gatewayAlarms.3',
+  'gatewayAlarms.4',
+  'gatewayAlarms.5',
+  'gatewayAlarms.6',
+  'gatewayAlarms.7',
+  'gatewayAlarms.8',
+  'gatewayAlarms.9',
+  'gatewayAlarms.10',
+  'gatewayAlarms.11',
+  'gatewayAlarms.12',
+  'gatewayAlarms.13',
+  'gatewayAlarms.14',
+  'gatewayAlarms.15'
+];
+
+const COMMON_PROPERTIES = [
+  'localName',
+  'rssi',
+  'txPowerLevel',
+  'rtto',
+  'alarms'
+];
+
+const COMMON_REGISTERS = [
+  {address: 0, type: 'mac', property: 'mac'},
+  {address: 3, type: 'string', property: 'localName', length: 8},
+  {address: 11, type: 'uint16', property: 'model'},
+  {address: 12, type: 'int16', property: 'rssi', sentinel: 0xFF},
+  {address: 13, type: 'int16', property: 'txPowerLevel', sentinel: 0xFF},
+  {address: 14, type: 'boolean', property: 'rtto'},
+  {address: 15, type: 'bits', bits: ALARM_BITS},
+  {address: 16, type: 'bits', bits: GATEWAY_ALARM_BITS}
+];
+
+const CARE_RELAY_REGISTERS = [
+  {address: 17, type: 'bits', bits: [null, 'output']}
+];
+
+const ENERGY_METER_REGISTERS = [
+  {address: 17, type: 'uint16', property: 'constant'},
+  {address: 18, type: 'uint16', property: 'unit'},
+  {address: 19, type: 'uint32', property: 'sum', scale: 100, unscaledIf: {unit: 2}},
+  {address: 21, type: 'uint32', property: 'average', scale: 100, unscaledIf: {unit: 2}},
+  {address: 23, type: 'uint16', property: 'lightLevel', scale: 100, sentinel: 0xFF},
+  {address: 24, type: 'uint16', property: 'weekDay', sentinel: 0xFF},
+  {address: 25, type: 'uint32', property: 'weekDayTotal'},
+  {address: 27, type: 'uint16', property: 'batteryLevel'},
+  {address: 28, type: 'uint16', property: 'batteryVoltage', scale: 100, sentinel: 0xFF},
+  {address: 30, type: 'uint32', property: 'energy.power', scale: 100, unscaledIf: {unit: 2}},
+  {address: 32, type: 'uint32', property: 'energy.today', scale: 100, unscaledIf: {unit: 2}},
+  {address: 34, type: 'uint32', property: 'energy.yesterday', scale: 100, unscaledIf: {unit: 2}},
+  {address: 36, type: 'uint32', property: 'energy.thisMonth', scale: 100, unscaledIf: {unit: 2}},
+  {address: 38, type: 'uint32', property: 'energy.lastMonth', scale: 100, unscaledIf: {unit: 2}},
+  {address: 40, type: 'uint16', property: 'energy.rollovers'},
+  {address: 41, type: 'uint16', property: 'energy.resets'}
+];
+
+const CARE_SENSOR_REGISTERS = [
+  {
+    address: 17,
+    type: 'bits',
+    bits: ['input', 'output', 'position.motion'],
+    fallbacks: {input: 'magneticFieldDirection'}
+  },
+  {address: 18, type: 'int16', property: 'temperature', scale: 100, sentinel: 0xFF},
+  {
+    address: 19,
+    type: 'uint16',
+    property: 'humidity',
+    scale: 100,
+    sentinel: 0xFF,
+    fallback: {property: 'magneticField', scale: 1}
+  },
+  {address: 20, type: 'int16', property: 'pressure', scale: 16},
+  {address: 21, type: 'int16', property: 'position.x'},
+  {address: 22, type: 'int16', property: 'position.y'},
+  {address: 23, type: 'int16', property: 'position.z'},
+  {address: 24, type: 'uint16', property: 'batteryLevel'},
+  {address: 25, type: 'uint16', property: 'batteryVoltage', scale: 100, sentinel: 0xFF},
+  {address: 26, type: 'uint16', property: 'groups'},
+  {address: 27, type: 'timestamp', property: 'time'}
+];
+
+const RAW_REGISTERS = [
+  {address: 17, type: 'uint16', property: 'rawData.companyIdentifier'},
+  {address: 18, type: 'uint16', property: 'rawData.length'},
+  {address: 19, type: 'bytes', property: 'rawData.data', length: 16}
+];
+
+const IBEACON_REGISTERS = [
+  {address: 17, type: 'bytes', property: 'uuid', length: 8},
+  {address: 25, type: 'uint16', property: 'major'},
+  {address: 26, type: 'uint16', property: 'minor'},
+  {address: 27, type: 'int16', property: 'measuredPower', sentinel: 0xFF}
+];
+
+const EDDYSTONE_REGISTERS = [
+  {address: 17, type: 'bytes', property: 'namespace', length: 5},
+  {address: 22, type: 'bytes', property: 'instance', length: 3},
+  {address: 25, type: 'int16', property: 'rangingPower', sentinel: 0xFF},
+  {address: 26, type: 'uint16', property: 'batteryVoltage', scale: 100, sentinel: 0xFF},
+  {address: 27, type: 'int16', property: 'temperature', scale: 100, sentinel: 0xFF},
+  {address: 28, type: 'uint32', property: 'advertisingCount'},
+  {address: 30, type: 'uint32', property: 'uptime'}
+];
+
+const RUUVI_TAG_REGISTERS = [
+  {address: 17, type: 'int16', property: 'temperature', scale: 100, sentinel: 0xFF},
+  {address: 18, type: 'uint16', property: 'humidity', scale: 100, sentinel: 0xFF},
+  {address: 19, type: 'uint32', property: 'pressure', scale: 100},
+  {address: 21, type: 'int16', property: 'acceleration.x'},
+  {address: 22, type: 'int16', property: 'acceleration.y'},
+  {address: 23, type: 'int16', property: 'acceleration.z'},
+  {address: 24, type: 'uint16', property: 'batteryVoltage', scale: 100, sentinel: 0xFF},
+  {address: 25, type: 'int16', property: 'txPower', sentinel: 0xFF},
+  {address: 26, type: 'uint16', property: 'movementCounter', sentinel: 0xFF},
+  {address: 27, type: 'uint16', property: 'measurementSequence'}
+];
+
+const CARE_RELAY_PROPERTIES = [
+  'output'
+];
+
+const ENERGY_METER_PROPERTIES = [
+  'constant',
+  'unit',
+  'sum',
+  'average',
+  'lightLevel',
+  'weekDay',
+  'weekDayTotal',
+  'batteryLevel',
+  'batteryVoltage',
+  'energy'
+];
+
+const CARE_SENSOR_PROPERTIES = [
+  'input',
+  'output',
+  'temperature',
+  'humidity',
+  'pressure',
+  'position',
+  'batteryLevel',
+  'batteryVoltage',
+  'groups',
+  'time'
+];
+
+const RAW_PROPERTIES = [
+  'rawData'
+];
+
+const IBEACON_PROPERTIES = [
+  'uuid',
+  'major',
+  'minor',
+  'measuredPower'
+];
+
+const EDDYSTONE_PROPERTIES = [
+  'namespace',
+  'instance',
+  'rangingPower',
+  'batteryVoltage',
+  'temperature',
+  'advertisingCount',
+  'uptime'
+];
+
+const RUUVI_TAG_PROPERTIES = [
+  'temperature',
+  'humidity',
+  'pressure',
+  'acceleration',
+  'batteryVoltage',
+  'txPower',
+  'movementCounter',
+  'measurementSequence'
+];
+
+const CARE_SENSOR_5_PROPERTIES = CARE_SENSOR_PROPERTIES.map(property =>
+{
+  switch (property)
+  {
+    case 'input':
+      return 'magneticFieldDirection';
+
+    case 'humidity':
+      return 'magneticField';
+
+    default:
+      return property;
+  }
+});
+
+/**
+ * The register map used by devices of a not yet known model.
+ *
+ * @type {RegisterMapDefinition}
+ */
+exports.common = createRegisterMap([], 17, []);
+
+/**
+ * The register map used by devices of models without a model specific register map, e.g. beacons or models
+ * unknown to this version. Exposes the raw manufacturer specific data bytes.
+ *
+ * @type {RegisterMapDefinition}
+ */
+exports.raw = createRegisterMap(RAW_REGISTERS, 35, RAW_PROPERTIES);
+
+/**
+ * The default register maps of the device models by their `DeviceModel` names.
+ *
+ * @type {Object<string, RegisterMapDefinition>}
+ */
+exports.models = {
+  CareRelay: createRegisterMap(CARE_RELAY_REGISTERS, 18, CARE_RELAY_PROPERTIES),
+  EnergyMeter: createRegisterMap(ENERGY_METER_REGISTERS, 29, ENERGY_METER_PROPERTIES),
+  CareSensor1: createRegisterMap(CARE_SENSOR_REGISTERS, 29, CARE_SENSOR_PROPERTIES),
+  CareSensor2: createRegisterMap(CARE_SENSOR_REGISTERS, 29, CARE_SENSOR_PROPERTIES),
+  CareSensor3: createRegisterMap(CARE_SENSOR_REGISTERS, 29, CARE_SENSOR_PROPERTIES),
+  CareSensor4: createRegisterMap(CARE_SENSOR_REGISTERS, 29, CARE_SENSOR_PROPERTIES),
+  CareSensor5: createRegisterMap(CARE_SENSOR_REGISTERS, 29, CARE_SENSOR_5_PROPERTIES),
+  CareSensor6: createRegisterMap(CARE_SENSOR_REGISTERS, 29, CARE_SENSOR_PROPERTIES),
+  CareSensorT: createRegisterMap(CARE_SENSOR_REGISTERS, 29, CARE_SENSOR_PROPERTIES),
+  CareSensorHT: createRegisterMap(CARE_SENSOR_REGISTERS, 29, CARE_SENSOR_PROPERTIES),
+  CareSensorPT: createRegisterMap(CARE_SENSOR_REGISTERS, 29, CARE_SENSOR_PROPERTIES),
+  CareSensorPHT: createRegisterMap(CARE_SENSOR_REGISTERS, 29, CARE_SENSOR_PROPERTIES)
+};
+
+/**
+ * The default register maps of the non-iNode beacons decoded by the `BeaconDevice` by their `BeaconModel` names.
+ *
+ * @type {Object<string, RegisterMapDefinition>}
+ */
+exports.beacons = {
+  IBeacon: createRegisterMap(IBEACON_REGISTERS, 28, IBEACON_PROPERTIES),
+  Eddystone: createRegisterMap(EDDYSTONE_REGISTERS, 32, EDDYSTONE_PROPERTIES),
+  RuuviTag: createRegisterMap(RUUVI_TAG_REGISTERS, 28, RUUVI_TAG_PROPERTIES)
+};
+
+/**
+ * @private
+ * @param {Array<RegisterDefinition>} modelRegisters
+ * @param {number} validityAddress
+ * @param {Array<string>} modelProperties
+ * @returns {RegisterMapDefinition}
+ */
+function createRegisterMap(modelRegisters, validityAddress, modelProperties)
+{
+  return {
+    registers: COMMON_REGISTERS.concat(modelRegisters, {
+      address: validityAddress,
+      type: 'validity',
+      properties: COMMON_PROPERTIES.concat(modelProperties)
+    })
+  };
+}
@@ -0,0 +1,100 @@
+// Part of <http://miracle.systems/p/h5.modbus.inode> licensed under <MIT>
+
+'use strict';
+
+const HCI_COMMAND_PACKET = 0x01;
+
+/**
+ * HCI command opcodes (OGF << 10 | OCF).
+ *
+ * @private
+ * @enum {number}
+ */
+const Opcode = {
+  Reset: 0x0C03,
+  SetEventMask: 0x0C01,
+  LeSetScanParameters: 0x200B,
+  LeSetScanEnable: 0x200C
+};
+
+/**
+ * The default event mask with the LE Meta event (bit 61) enabled.
+ *
+ * @private
+ * @type {Buffer}
+ */
+const EVENT_MASK = new Buffer([0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0x1F, 0x00, 0x20]);
+
+/**
+ * Creates the H4 framed HCI command packets that reset a Bluetooth controller and start the LE scanning,
+ * so that the controller reports the advertising packets of the nearby devices.
+ *
+ * @param {ScanOptions} [options]
+ * @returns {Array<Buffer>}
+ */
+exports.create = function(options)
+{
+  if (!options)
+  {
+    options = {};
+  }
+
+  const scanParameters = new Buffer(7);
+
+  scanParameters[0] = options.active === false ? 0x00 : 0x01;
+  scanParameters.writeUInt16LE(msToSlots(options.interval || 100), 1, true);
+  scanParameters.writeUInt16LE(msToSlots(options.window || 100), 3, true);
+  scanParameters[5] = 0x00;
+  scanParameters[6] = 0x00;
+
+  return [
+    createCommand(Opcode.Reset, new Buffer(0)),
+    createCommand(Opcode.SetEventMask, EVENT_MASK),
+    createCommand(Opcode.LeSetScanParameters, scanParameters),
+    // Duplicate filtering is disabled, so that the changes of the advertised values are reported.
+    createCommand(Opcode.LeSetScanEnable, new Buffer([0x01, 0x00]))
+  ];
+};
+
+/**
+ * @returns {Buffer} The H4 framed HCI command packet that stops the LE scanning.
+ */
+exports.createStop = function()
+{
+  return createCommand(Opcode.LeSetScanEnable, new Buffer([0x00, 0x00]));
+};
+
+/**
+ * @private
+ * @param {number} opcode
+ * @param {Buffer} parameters
+ * @returns {Buffer}
+ */
+function createCommand(opcode, parameters)
+{
+  const packet = new Buffer(4 + parameters.length);
+
+  packet[0] = HCI_COMMAND_PACKET;
+  packet.writeUInt16LE(opcode, 1, true);
+  packet[3] = parameters.length;
+  parameters.copy(packet, 4);
+
+  return packet;
+}
+
+/**
+ * @private
+ * @param {number} ms
+ * @returns {number} The number of 0.625 ms slots limited to the range allowed for the scan interval and window.
+ */
+function msToSlots(ms)
+{
+  return Math.max(0x0004, Math.min(0x4000, Math.round(ms / 0.625)));
+}
+
+/**
+ * @typedef {Object} ScanOptions
+ * @property {boolean} [active=true] Whether to request the scan responses (e.g. with the local names).
+ * @property {number} [interval=100] The scan interval in milliseconds.
+ * @property {number} [window=100] The scan window in milliseconds (not greater than the `interval`).
+ */
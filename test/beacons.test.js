@@ -0,0 +1,258 @@
+// Part of <http://miracle.systems/p/h5.modbus.inode> licensed under <MIT>
+
+'use strict';
+
+const assert = require('assert');
+const btHci = require('h5.bluetooth.hci');
+const beacons = require('../lib/beacons');
+const helpers = require('./helpers');
+
+helpers.runTests('beacons', [
+  testRuuviRawV2,
+  testRuuviRawV2Limits,
+  testRuuviRawV2InvalidValues,
+  testIBeacon,
+  testEddystoneUid,
+  testEddystoneTlm,
+  testUnsupportedData
+], () => {});
+
+/**
+ * The valid data test vector of the RuuviTag data format 5 (RAWv2) specification.
+ *
+ * @param {function()} done
+ */
+function testRuuviRawV2(done)
+{
+  const beacon = decodeRuuvi('0512FC5394C37C0004FFFC040CAC364200CDCBB8334C884F');
+
+  assert.strictEqual(beacon.model, beacons.BeaconModel.RuuviTag);
+  assert.deepStrictEqual(round(beacon.values), {
+    temperature: 24.3,
+    humidity: 53.49,
+    pressure: 1000.44,
+    acceleration: {x: 4, y: -4, z: 1036},
+    batteryVoltage: 2.977,
+    txPower: 4,
+    movementCounter: 66,
+    measurementSequence: 205
+  });
+
+  done();
+}
+
+/**
+ * The maximum values test vector of the RuuviTag data format 5 (RAWv2) specification.
+ *
+ * @param {function()} done
+ */
+function testRuuviRawV2Limits(done)
+{
+  const beacon = decodeRuuvi('057FFFFFFEFFFE7FFF7FFF7FFFFFDEFEFFFECBB8334C884F');
+
+  assert.deepStrictEqual(round(beacon.values), {
+    temperature: 163.835,
+    humidity: 163.835,
+    pressure: 1155.34,
+    acceleration: {x: 32767, y: 32767, z: 32767},
+    batteryVoltage: 3.646,
+    txPower: 20,
+    movementCounter: 254,
+    measurementSequence: 65534
+  });
+
+  done();
+}
+
+/**
+ * The invalid values test vector of the RuuviTag data format 5 (RAWv2) specification is decoded as `null`s.
+ *
+ * @param {function()} done
+ */
+function testRuuviRawV2InvalidValues(done)
+{
+  const beacon = decodeRuuvi('058000FFFFFFFF800080008000FFFFFFFFFFFFFFFFFFFFFF');
+
+  assert.deepStrictEqual(beacon.values, {
+    temperature: null,
+    humidity: null,
+    pressure: null,
+    acceleration: {x: null, y: null, z: null},
+    batteryVoltage: null,
+    txPower: null,
+    movementCounter: null,
+    measurementSequence: null
+  });
+
+  assert.strictEqual(decodeRuuvi('0312FC5394C37C0004FFFC040CAC364200CDCBB8334C884F'), null);
+  assert.strictEqual(decodeRuuvi('0512FC5394C37C0004FFFC040CAC364200CDCBB8334C88'), null);
+
+  done();
+}
+
+/**
+ * The iBeacon UUID is formatted with dashes and the measured power is signed.
+ *
+ * @param {function()} done
+ */
+function testIBeacon(done)
+{
+  const decode = hex => beacons.decode({
+    type: btHci.EirDataType.ManufacturerSpecificData,
+    companyIdentifier: 0x004C,
+    data: new Buffer(hex, 'hex')
+  });
+
+  assert.deepStrictEqual(decode('0215E2C56DB5DFFB48D2B060D0F5A71096E000010002C5'), {
+    model: beacons.BeaconModel.IBeacon,
+    values: {
+      uuid: 'E2C56DB5-DFFB-48D2-B060-D0F5A71096E0',
+      major: 1,
+      minor: 2,
+      measuredPower: -59
+    }
+  });
+
+  assert.strictEqual(decode('0115E2C56DB5DFFB48D2B060D0F5A71096E000010002C5'), null);
+  assert.strictEqual(decode('0215E2C56DB5DFFB48D2B060D0F5A71096E000010002'), null);
+
+  done();
+}
+
+/**
+ * The UID frame has the namespace, instance and ranging power.
+ *
+ * @param {function()} done
+ */
+function testEddystoneUid(done)
+{
+  assert.deepStrictEqual(decodeEddystone('00E7EDD7B1C4D6A2F3B4C9E1010203040506070000'), {
+    model: beacons.BeaconModel.Eddystone,
+    values: {
+      rangingPower: -25,
+      namespace: 'EDD7B1C4D6A2F3B4C9E1',
+      instance: '010203040506'
+    }
+  });
+
+  done();
+}
+
+/**
+ * The TLM frame has the battery voltage, temperature, advertising count and uptime in seconds. The URL frames
+ * are recognized, but have no values.
+ *
+ * @param {function()} done
+ */
+function testEddystoneTlm(done)
+{
+  assert.deepStrictEqual(decodeEddystone('20000BB818800000006400002710').values, {
+    batteryVoltage: 3,
+    temperature: 24.5,
+    advertisingCount: 100,
+    uptime: 1000
+  });
+
+  assert.deepStrictEqual(decodeEddystone('2000000080000000006400002710').values, {
+    batteryVoltage: null,
+    temperature: null,
+    advertisingCount: 100,
+    uptime: 1000
+  });
+
+  assert.deepStrictEqual(decodeEddystone('10E70367697468756207'), {
+    model: beacons.BeaconModel.Eddystone,
+    values: {}
+  });
+
+  done();
+}
+
+/**
+ * Other company identifiers, service UUIDs and data structures without the data bytes aren't beacons.
+ *
+ * @param {function()} done
+ */
+function testUnsupportedData(done)
+{
+  const data = new Buffer('0215E2C56DB5DFFB48D2B060D0F5A71096E000010002C5', 'hex');
+
+  assert.strictEqual(beacons.decode({
+    type: btHci.EirDataType.ManufacturerSpecificData,
+    companyIdentifier: 0x0059,
+    data: data
+  }), null);
+  assert.strictEqual(beacons.decode({
+    type: btHci.EirDataType.ServiceData16,
+    uuid: 0xFE9F,
+    data: data
+  }), null);
+  assert.strictEqual(beacons.decode({
+    type: btHci.EirDataType.ManufacturerSpecificData,
+    companyIdentifier: 0x004C,
+    data: data.toString('hex')
+  }), null);
+  assert.strictEqual(beacons.decode({
+    type: btHci.EirDataType.LocalNameComplete,
+    value: 'Beacon'
+  }), null);
+
+  done();
+}
+
+/**
+ * @param {string} hex
+ * @returns {?BeaconData}
+ */
+function decodeRuuvi(hex)
+{
+  return beacons.decode({
+    type: btHci.EirDataType.ManufacturerSpecificData,
+    companyIdentifier: 0x0499,
+    data: new Buffer(hex, 'hex')
+  });
+}
+
+/**
+ * @param {string} hex
+ * @returns {?BeaconData}
+ */
+function decodeEddystone(hex)
+{
+  return beacons.decode({
+    type: btHci.EirDataType.ServiceData16,
+    uuid: 0xFEAA,
+    data: new Buffer(hex, 'hex')
+  });
+}
+
+/**
+ * Rounds the decoded numbers to remove the floating point errors of the scaling.
+ *
+ * @param {Object} values
+ * @returns {Object}
+ */
+function round(values)
+{
+  const result = {};
+
+  Object.keys(values).forEach(key =>
+  {
+    const value = values[key];
+
+    if (typeof value === 'number')
+    {
+      result[key] = Math.round(value * 1000) / 1000;
+    }
+    else if (value !== null && typeof value === 'object')
+    {
+      result[key] = round(value);
+    }
+    else
+    {
+      result[key] = value;
+    }
+  });
+
+  return result;
+}
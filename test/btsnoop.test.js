@@ -0,0 +1,134 @@
+// Part of <http://miracle.systems/p/h5.modbus.inode> licensed under <MIT>
+
+'use strict';
+
+const assert = require('assert');
+const btsnoop = require('../lib/btsnoop');
+const helpers = require('./helpers');
+
+const EVENT_PACKET = new Buffer('043E0C02010000063E6D6F120000C4', 'hex');
+const ACL_DATA_PACKET = new Buffer('0201200100FF', 'hex');
+const TIME = Date.UTC(2026, 0, 15, 12, 0, 0) + 123.456;
+
+helpers.runTests('btsnoop', [
+  testEncodeHeader,
+  testEncodeRecord,
+  testEpochOffset,
+  testRoundTrip,
+  testTruncatedRecord,
+  testInvalidFile
+], () => {});
+
+/**
+ * The header identifies a version 1 btsnoop file with the H4 datalink.
+ *
+ * @param {function()} done
+ */
+function testEncodeHeader(done)
+{
+  const header = btsnoop.encodeHeader();
+
+  assert.strictEqual(header.toString('binary', 0, 8), 'btsnoop\0');
+  assert.strictEqual(header.readUInt32BE(8), 1);
+  assert.strictEqual(header.readUInt32BE(12), 1002);
+
+  done();
+}
+
+/**
+ * A record has the lengths and flags of the packet and the time in microseconds since 0000-01-01.
+ *
+ * @param {function()} done
+ */
+function testEncodeRecord(done)
+{
+  const record = btsnoop.encodeRecord(EVENT_PACKET, TIME);
+
+  assert.strictEqual(record.length, 24 + EVENT_PACKET.length);
+  assert.strictEqual(record.readUInt32BE(0), EVENT_PACKET.length);
+  assert.strictEqual(record.readUInt32BE(4), EVENT_PACKET.length);
+  assert.strictEqual(record.readUInt32BE(8), btsnoop.Flag.Received | btsnoop.Flag.CommandOrEvent);
+  assert.strictEqual(record.readUInt32BE(12), 0);
+  assert.strictEqual(record.slice(16, 24).toString('hex'), '00e3261f06049240');
+  assert.ok(record.slice(24).equals(EVENT_PACKET));
+
+  assert.strictEqual(btsnoop.encodeRecord(ACL_DATA_PACKET, TIME).readUInt32BE(8), btsnoop.Flag.Received);
+
+  done();
+}
+
+/**
+ * The Unix epoch is offset by 62168256000000000 microseconds, including the carry from the low 32 bits.
+ *
+ * @param {function()} done
+ */
+function testEpochOffset(done)
+{
+  const timestamp = time => btsnoop.encodeRecord(EVENT_PACKET, time).slice(16, 24).toString('hex');
+
+  assert.strictEqual(timestamp(0), '00dcddb30f2f8000');
+  assert.strictEqual(timestamp(4040196.095), '00dcddb3ffffffff');
+  assert.strictEqual(timestamp(4040196.096), '00dcddb400000000');
+
+  done();
+}
+
+/**
+ * The decoded records have the encoded times (with the microsecond resolution), flags and packets.
+ *
+ * @param {function()} done
+ */
+function testRoundTrip(done)
+{
+  const times = [TIME, 0, 4040196.095, 4040196.096];
+  const buffer = Buffer.concat([btsnoop.encodeHeader()].concat(
+    times.map((time, i) => btsnoop.encodeRecord(i % 2 ? ACL_DATA_PACKET : EVENT_PACKET, time))
+  ));
+  const records = btsnoop.decode(buffer);
+
+  assert.deepStrictEqual(records.map(record => record.time), times);
+  assert.deepStrictEqual(records.map(record => record.flags), [3, 1, 3, 1]);
+  assert.deepStrictEqual(
+    records.map(record => record.packet.toString('hex')),
+    [EVENT_PACKET, ACL_DATA_PACKET, EVENT_PACKET, ACL_DATA_PACKET].map(packet => packet.toString('hex'))
+  );
+
+  done();
+}
+
+/**
+ * A truncated last record is ignored.
+ *
+ * @param {function()} done
+ */
+function testTruncatedRecord(done)
+{
+  const buffer = Buffer.concat([
+    btsnoop.encodeHeader(),
+    btsnoop.encodeRecord(EVENT_PACKET, TIME),
+    btsnoop.encodeRecord(EVENT_PACKET, TIME + 1)
+  ]);
+
+  assert.strictEqual(btsnoop.decode(buffer.slice(0, buffer.length - 1)).length, 1);
+  assert.strictEqual(btsnoop.decode(buffer.slice(0, 16 + 24 + EVENT_PACKET.length + 10)).length, 1);
+
+  done();
+}
+
+/**
+ * Files without the btsnoop identification or with a datalink other than H4 are rejected.
+ *
+ * @param {function()} done
+ */
+function testInvalidFile(done)
+{
+  const header = btsnoop.encodeHeader();
+
+  assert.throws(() => btsnoop.decode(new Buffer('snoop')), /Not a btsnoop file/);
+
+  header.writeUInt32BE(1001, 12);
+
+  assert.throws(() => btsnoop.decode(header), /Unsupported btsnoop datalink type: 1001/);
+
+  done();
+}
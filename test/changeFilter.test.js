@@ -0,0 +1,123 @@
+// Part of <http://miracle.systems/p/h5.modbus.inode> licensed under <MIT>
+
+'use strict';
+
+const assert = require('assert');
+const ChangeFilter = require('../lib/ChangeFilter');
+const helpers = require('./helpers');
+
+helpers.runTests('changeFilter', [
+  testAbsoluteDeadband,
+  testPercentageDeadband,
+  testNestedDeadband,
+  testWithoutDeadband,
+  testInvalidDeadband
+], () => {});
+
+/**
+ * A change is emitted once it differs from the last emitted (not the last filtered) value by at least the deadband.
+ *
+ * @param {function()} done
+ */
+function testAbsoluteDeadband(done)
+{
+  const changeFilter = new ChangeFilter({temperature: 0.5});
+
+  assert.deepStrictEqual(emit(changeFilter, {temperature: 20}), {temperature: 20});
+  assert.deepStrictEqual(emit(changeFilter, {temperature: 20.3}), {});
+  assert.deepStrictEqual(emit(changeFilter, {temperature: 19.6}), {});
+  assert.deepStrictEqual(emit(changeFilter, {temperature: 20.5}), {temperature: 20.5});
+  assert.deepStrictEqual(emit(changeFilter, {temperature: 20}), {temperature: 20});
+  assert.deepStrictEqual(emit(changeFilter, {temperature: null}), {temperature: null});
+  assert.deepStrictEqual(emit(changeFilter, {temperature: 20.1}), {temperature: 20.1});
+
+  done();
+}
+
+/**
+ * A percentage deadband is relative to the magnitude of the last emitted value.
+ *
+ * @param {function()} done
+ */
+function testPercentageDeadband(done)
+{
+  const changeFilter = new ChangeFilter({pressure: '1%', temperature: '10%'});
+
+  assert.deepStrictEqual(emit(changeFilter, {pressure: 1000, temperature: -20}), {pressure: 1000, temperature: -20});
+  assert.deepStrictEqual(emit(changeFilter, {pressure: 1009.9, temperature: -18.5}), {});
+  assert.deepStrictEqual(emit(changeFilter, {pressure: 990, temperature: -22}), {pressure: 990, temperature: -22});
+  assert.deepStrictEqual(emit(changeFilter, {pressure: 999.8, temperature: -20}), {});
+  assert.deepStrictEqual(emit(changeFilter, {pressure: 1000}), {pressure: 1000});
+
+  done();
+}
+
+/**
+ * The properties of the object values use their own deadbands (if specified) or the deadband of the object,
+ * and the whole object is emitted if any of them changed.
+ *
+ * @param {function()} done
+ */
+function testNestedDeadband(done)
+{
+  const changeFilter = new ChangeFilter({position: 10, 'position.z': 100});
+
+  assert.deepStrictEqual(emit(changeFilter, {position: {x: 0, y: 0, z: 1000}}), {position: {x: 0, y: 0, z: 1000}});
+  assert.deepStrictEqual(emit(changeFilter, {position: {x: 5, y: -5, z: 1050}}), {});
+  assert.deepStrictEqual(emit(changeFilter, {position: {x: 5, y: -5, z: 1100}}), {position: {x: 5, y: -5, z: 1100}});
+  assert.deepStrictEqual(emit(changeFilter, {position: {x: 15, y: -5, z: 1100}}), {position: {x: 15, y: -5, z: 1100}});
+
+  done();
+}
+
+/**
+ * The properties without a deadband are emitted on every change and the undefined values are never emitted.
+ *
+ * @param {function()} done
+ */
+function testWithoutDeadband(done)
+{
+  const changeFilter = new ChangeFilter({temperature: 1});
+  const time = new Date(Date.UTC(2026, 0, 1));
+
+  assert.deepStrictEqual(emit(changeFilter, {humidity: 50, time: time}), {humidity: 50, time: time});
+  assert.deepStrictEqual(emit(changeFilter, {humidity: 50, time: new Date(time.getTime())}), {});
+  assert.deepStrictEqual(emit(changeFilter, {humidity: 50.01, battery: undefined}), {humidity: 50.01});
+  assert.deepStrictEqual(new ChangeFilter().filter({rssi: -60}), {rssi: -60});
+
+  done();
+}
+
+/**
+ * The deadbands must be non-negative numbers or percentages.
+ *
+ * @param {function()} done
+ */
+function testInvalidDeadband(done)
+{
+  assert.throws(
+    () => new ChangeFilter({temperature: -1}),
+    /Invalid deadband of property \[temperature\]: expected a non-negative number or a percentage, but got: -1\./
+  );
+  assert.throws(() => new ChangeFilter({humidity: '5'}), /Invalid deadband of property \[humidity\]/);
+  assert.throws(() => new ChangeFilter({humidity: '-5%'}), /Invalid deadband of property \[humidity\]/);
+  assert.throws(() => new ChangeFilter({pressure: null}), /but got: null\./);
+
+  done();
+}
+
+/**
+ * Filters the specified changes and commits the result, like a `Device` emitting its changes.
+ *
+ * @param {ChangeFilter} changeFilter
+ * @param {Object} changes
+ * @returns {Object} The emitted changes.
+ */
+function emit(changeFilter, changes)
+{
+  const filtered = changeFilter.filter(changes);
+
+  changeFilter.commit(filtered);
+
+  return filtered;
+}
@@ -0,0 +1,255 @@
+// Part of <http://miracle.systems/p/h5.modbus.inode> licensed under <MIT>
+
+'use strict';
+
+const assert = require('assert');
+const net = require('net');
+const modbus = require('h5.modbus');
+const btHci = require('h5.bluetooth.hci');
+const iNodeHci = require('h5.bluetooth.hci.inode');
+const iNodeModbus = require('../lib');
+const helpers = require('./helpers');
+
+const MAC = '00:12:6F:6D:3E:06';
+const UNIT = 1;
+const OUTPUT_COIL = 33;
+const CUSTOM_MODEL = 0x9A05;
+const CUSTOM_MODEL_LEVEL_REGISTER = 3;
+
+iNodeModbus.Device.registerModel(CUSTOM_MODEL, {
+  name: 'CustomDimmer',
+  properties: ['level'],
+  encode: write => write.property === 'level' ? (write.value <= 100 ? {type: 0x10, level: write.value} : null) : undefined,
+  registerMap: {
+    registers: [
+      {address: 0, type: 'mac', property: 'mac'},
+      {address: 3, type: 'uint16', property: 'level'}
+    ]
+  }
+});
+
+const lan = createFakeLan();
+
+lan.listen(() =>
+{
+  helpers.runTests('commands', [
+    testSetOutput,
+    testNoConfirmation,
+    testNoEncoder,
+    testCustomModelCommand
+  ], () => lan.close());
+});
+
+/**
+ * A Write Single Coil to the output of a Care Relay sends the encoded command to the iNode LAN that heard
+ * the relay and responds after a report with the new output state.
+ *
+ * @param {function()} done
+ */
+function testSetOutput(done)
+{
+  const setUp = setUpGateway({commandEncoder: encodeCommand});
+
+  lan.expectData((data) =>
+  {
+    assert.strictEqual(data, '0101', 'The hex encoded command should arrive at the iNode LAN.');
+
+    setUp.gateway.handleAdvertisingReport(createCareRelayReport(true), setUp.source);
+  });
+
+  writeOutput(setUp.gateway, true, (response) =>
+  {
+    assert.deepStrictEqual(response, {address: OUTPUT_COIL, state: true});
+
+    setUp.gateway.destroy(true);
+    done();
+  });
+}
+
+/**
+ * A command that isn't confirmed by a report within the `commandTimeout` results in an exception.
+ *
+ * @param {function()} done
+ */
+function testNoConfirmation(done)
+{
+  const setUp = setUpGateway({commandEncoder: encodeCommand}, {commandTimeout: 100});
+
+  lan.expectData(data => assert.strictEqual(data, '0101'));
+
+  writeOutput(setUp.gateway, true, (response) =>
+  {
+    assert.strictEqual(response, modbus.ExceptionCode.GatewayTargetDeviceFailedToRespond);
+
+    setUp.gateway.destroy(true);
+    done();
+  });
+}
+
+/**
+ * Without the `commandEncoder`, nothing is sent and the writes are rejected.
+ *
+ * @param {function()} done
+ */
+function testNoEncoder(done)
+{
+  const setUp = setUpGateway({});
+
+  lan.expectData(data => assert.fail(data, null, 'Nothing should be sent to the iNode LAN.'));
+
+  writeOutput(setUp.gateway, true, (response) =>
+  {
+    assert.strictEqual(response, modbus.ExceptionCode.IllegalFunctionCode);
+
+    // Give the unexpected data a chance to arrive.
+    setTimeout(() =>
+    {
+      setUp.gateway.destroy(true);
+      done();
+    }, 100);
+  });
+}
+
+/**
+ * A write to a device of a registered model is turned into a command by the `encode` of the model. Without
+ * the `confirm` of the model, the write is answered right after the command is delivered.
+ *
+ * @param {function()} done
+ */
+function testCustomModelCommand(done)
+{
+  const setUp = setUpGateway({commandEncoder: encodeCommand});
+  const write = (value, respond) => setUp.gateway.handleModbusRequest(UNIT, {
+    functionCode: modbus.FunctionCode.WriteSingleRegister,
+    address: CUSTOM_MODEL_LEVEL_REGISTER,
+    value: value
+  }, respond);
+
+  setUp.gateway.handleAdvertisingReport({
+    address: MAC,
+    rssi: -60,
+    data: [{
+      type: btHci.EirDataType.ManufacturerSpecificData,
+      model: CUSTOM_MODEL,
+      rtto: false,
+      alarms: {},
+      level: 0
+    }]
+  }, setUp.source);
+
+  lan.expectData(data => assert.strictEqual(data, '1032'));
+
+  write(101, (response) =>
+  {
+    assert.strictEqual(response, modbus.ExceptionCode.IllegalDataValue);
+
+    write(50, (response) =>
+    {
+      assert.deepStrictEqual(response, {address: CUSTOM_MODEL_LEVEL_REGISTER, value: 50});
+
+      setUp.gateway.destroy(true);
+      done();
+    });
+  });
+}
+
+/**
+ * @param {Device} device
+ * @param {DeviceCommand} command
+ * @returns {Buffer}
+ */
+function encodeCommand(device, command)
+{
+  return new Buffer([command.type, command.type === 0x10 ? command.level : command.output ? 1 : 0]);
+}
+
+/**
+ * @param {GatewayOptions} gatewayOptions
+ * @param {Object} [deviceOptions]
+ * @returns {{gateway: Gateway, source: StreamSource}}
+ */
+function setUpGateway(gatewayOptions, deviceOptions)
+{
+  const gateway = new iNodeModbus.Gateway(gatewayOptions);
+  const source = new iNodeModbus.StreamSource({
+    stream: net.connect(lan.port, '127.0.0.1'),
+    hexEncoded: true,
+    writable: true
+  });
+
+  gateway.addConnection(source);
+  gateway.addDevice(new iNodeModbus.Device(MAC, UNIT, deviceOptions));
+  gateway.handleAdvertisingReport(createCareRelayReport(false), source);
+
+  return {
+    gateway: gateway,
+    source: source
+  };
+}
+
+/**
+ * @param {Gateway} gateway
+ * @param {boolean} state
+ * @param {function(*)} respond
+ */
+function writeOutput(gateway, state, respond)
+{
+  // The data written before the fake iNode LAN accepts the connection is buffered by the socket.
+  gateway.handleModbusRequest(UNIT, {
+    functionCode: modbus.FunctionCode.WriteSingleCoil,
+    address: OUTPUT_COIL,
+    state: state
+  }, respond);
+}
+
+/**
+ * @param {boolean} output
+ * @returns {AdvertisingReport}
+ */
+function createCareRelayReport(output)
+{
+  return {
+    address: MAC,
+    rssi: -60,
+    data: [{
+      type: btHci.EirDataType.ManufacturerSpecificData,
+      model: iNodeHci.DeviceModel.CareRelay,
+      rtto: false,
+      alarms: {},
+      output: output
+    }]
+  };
+}
+
+/**
+ * A TCP server accepting the gateway connections like an iNode LAN and collecting the written data.
+ *
+ * @returns {Object}
+ */
+function createFakeLan()
+{
+  const server = net.createServer();
+  const fakeLan = {
+    port: 0,
+    onData: null,
+    listen: done =>
+    {
+      server.listen(0, '127.0.0.1', () =>
+      {
+        fakeLan.port = server.address().port;
+
+        done();
+      });
+    },
+    close: () => server.close(),
+    expectData: onData => { fakeLan.onData = onData; }
+  };
+
+  server.on('connection', socket =>
+  {
+    socket.setEncoding('ascii');
+    socket.on('data', data => fakeLan.onData(data));
+  });
+
+  return fakeLan;
+}
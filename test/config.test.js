@@ -0,0 +1,120 @@
+// Part of <http://miracle.systems/p/h5.modbus.inode> licensed under <MIT>
+
+'use strict';
+
+const assert = require('assert');
+const iNodeModbus = require('../lib');
+const helpers = require('./helpers');
+
+helpers.runTests('config', [
+  testLoadCommandEncoder,
+  testInvalidCommandEncoder,
+  testInvalidDeviceOptions,
+  testInvalidGatewayOptions
+], () => {});
+
+/**
+ * The `gateway.commandEncoder` module path is resolved against the base directory and replaced by
+ * the exported function.
+ *
+ * @param {function()} done
+ */
+function testLoadCommandEncoder(done)
+{
+  const config = iNodeModbus.config.validate({
+    gateway: {commandEncoder: './fixtures/encodeCommand.js'}
+  }, __dirname);
+
+  assert.strictEqual(config.gateway.commandEncoder, require('./fixtures/encodeCommand'));
+
+  done();
+}
+
+/**
+ * A missing module or a module not exporting a function is reported.
+ *
+ * @param {function()} done
+ */
+function testInvalidCommandEncoder(done)
+{
+  assert.throws(
+    () => iNodeModbus.config.validate({gateway: {commandEncoder: './fixtures/missing.js'}}, __dirname),
+    /gateway\.commandEncoder: failed to load the encoder module \[\.\/fixtures\/missing\.js\]/
+  );
+  assert.throws(
+    () => iNodeModbus.config.validate({gateway: {commandEncoder: './helpers.js'}}, __dirname),
+    /gateway\.commandEncoder: expected the module \[\.\/helpers\.js\] to export a function\./
+  );
+  assert.throws(
+    () => iNodeModbus.config.validate({gateway: {commandEncoder: 1}}),
+    /gateway\.commandEncoder: expected a path to a module, but got: 1\./
+  );
+
+  done();
+}
+
+/**
+ * The device options are checked by creating the devices, so the errors of the `Device` constructor are reported
+ * with the config path of the options.
+ *
+ * @param {function()} done
+ */
+function testInvalidDeviceOptions(done)
+{
+  const config = iNodeModbus.config.validate({
+    devices: [
+      {mac: '00:12:6F:6D:3E:06', unit: 1, options: {deadbands: {temperature: '5%'}}},
+      {mac: 'C8:25:2D:8E:9C:31', unit: 2, type: 'beacon', options: {encoding: 'float32'}}
+    ]
+  });
+
+  assert.deepStrictEqual(config.devices[0].options, {deadbands: {temperature: '5%'}});
+
+  assert.throws(() => iNodeModbus.config.validate({
+    devices: [
+      {mac: '00:12:6F:6D:3E:06', unit: 1, options: {deadbands: {temperature: 'abc'}}},
+      {mac: '00:12:6F:6D:3E:07', unit: 2, options: {registerMap: 'CareSensorX'}},
+      {mac: '00:12:6F:6D:3E:08', unit: 3, options: {alarmRules: [{property: 'temperature', above: 8}]}},
+      {mac: 'C8:25:2D:8E:9C:31', unit: 4, type: 'beacon', options: {byteOrder: 'ACBD'}},
+      {mac: '00:12:6F:6D:3E:09', unit: 5, options: []}
+    ]
+  }), error => [
+    /devices\[0\]\.options: Invalid deadband of property \[temperature\]/,
+    /devices\[1\]\.options: Invalid register map/,
+    /devices\[2\]\.options: Invalid alarm rule name/,
+    /devices\[3\]\.options: Invalid register map: unknown byte order/,
+    /devices\[4\]\.options: expected an object of the Device options\./
+  ].every(re => re.test(error.message)));
+
+  done();
+}
+
+/**
+ * Unknown and invalid gateway options are reported.
+ *
+ * @param {function()} done
+ */
+function testInvalidGatewayOptions(done)
+{
+  assert.throws(() => iNodeModbus.config.validate({
+    gateway: {
+      diagnosticUnit: 247,
+      diagnosticsUnit: 256,
+      alarmCheckInterval: 0,
+      connectionStaleTimeout: -1,
+      autoEnrolment: {firstUnit: 10, lastUnit: 5}
+    }
+  }), error => [
+    /gateway\.diagnosticUnit: unknown option/,
+    /gateway\.diagnosticsUnit: expected an integer between 0 and 255, but got: 256\./,
+    /gateway\.alarmCheckInterval: expected a positive integer, but got: 0\./,
+    /gateway\.connectionStaleTimeout: expected a non-negative integer, but got: -1\./,
+    /gateway\.autoEnrolment: Invalid auto enrolment unit range: 10-5/
+  ].every(re => re.test(error.message)));
+
+  assert.throws(() => iNodeModbus.config.validate({
+    gateway: {autoEnrolment: {deviceOptions: {deadbands: {humidity: -1}}}}
+  }), /gateway\.autoEnrolment\.deviceOptions: Invalid deadband of property \[humidity\]/);
+
+  done();
+}
@@ -0,0 +1,132 @@
+// Part of <http://miracle.systems/p/h5.modbus.inode> licensed under <MIT>
+
+'use strict';
+
+const assert = require('assert');
+const EnergyCounter = require('../lib/EnergyCounter');
+const helpers = require('./helpers');
+
+const NOON = new Date(2026, 0, 15, 12, 0, 0).getTime();
+const MINUTE = 60 * 1000;
+
+helpers.runTests('energyCounter', [
+  testIncrease,
+  testRollover,
+  testReset,
+  testGlitch,
+  testDayAndMonthRotation
+], () => {});
+
+/**
+ * An increase of the total value is added to the buckets and the power is the consumption per hour.
+ *
+ * @param {function()} done
+ */
+function testIncrease(done)
+{
+  const counter = new EnergyCounter(10 * MINUTE);
+
+  counter.update(100, 1000, NOON);
+  counter.update(101, 1000, NOON + MINUTE);
+
+  const metrics = counter.update(102.5, 1000, NOON + 2 * MINUTE);
+
+  assert.strictEqual(metrics.today, 2.5);
+  assert.strictEqual(metrics.thisMonth, 2.5);
+  assert.strictEqual(metrics.power, 75);
+
+  done();
+}
+
+/**
+ * A decrease from the upper to the lower half of the counter range of the meter is a rollover.
+ *
+ * @param {function()} done
+ */
+function testRollover(done)
+{
+  const counter = new EnergyCounter();
+  const range = 0x100000000 / 1000;
+
+  counter.update(range - 1, 1000, NOON);
+
+  const metrics = counter.update(2, 1000, NOON + MINUTE);
+
+  assert.strictEqual(metrics.rollovers, 1);
+  assert.strictEqual(metrics.resets, 0);
+  assert.strictEqual(metrics.today, 3);
+
+  done();
+}
+
+/**
+ * A decrease to less than a tenth of the previous value is a reset, after which the new value was consumed.
+ *
+ * @param {function()} done
+ */
+function testReset(done)
+{
+  const counter = new EnergyCounter();
+
+  counter.update(5000, 1000, NOON);
+
+  const metrics = counter.update(3, 1000, NOON + MINUTE);
+
+  assert.strictEqual(metrics.resets, 1);
+  assert.strictEqual(metrics.rollovers, 0);
+  assert.strictEqual(metrics.today, 3);
+  assert.strictEqual(counter.update(4, 1000, NOON + 2 * MINUTE).today, 4);
+
+  done();
+}
+
+/**
+ * Any other decrease is ignored and the consumption is counted from the last accepted value, so a lower value
+ * followed by the old value again doesn't add anything.
+ *
+ * @param {function()} done
+ */
+function testGlitch(done)
+{
+  const counter = new EnergyCounter();
+
+  counter.update(5000, 1000, NOON);
+
+  const glitch = counter.update(4990, 1000, NOON + MINUTE);
+
+  assert.strictEqual(glitch.resets, 0);
+  assert.strictEqual(glitch.rollovers, 0);
+  assert.strictEqual(glitch.today, 0);
+  assert.strictEqual(counter.toJSON().sum, 5000);
+
+  assert.strictEqual(counter.update(5000, 1000, NOON + 2 * MINUTE).today, 0);
+  assert.strictEqual(counter.update(5001, 1000, NOON + 3 * MINUTE).today, 1);
+
+  done();
+}
+
+/**
+ * The consumption is moved to the yesterday's and last month's buckets when the local day and month change.
+ *
+ * @param {function()} done
+ */
+function testDayAndMonthRotation(done)
+{
+  const counter = new EnergyCounter();
+  const lastDay = new Date(2026, 0, 31, 23, 0, 0).getTime();
+  const nextDay = new Date(2026, 1, 1, 1, 0, 0).getTime();
+
+  counter.update(100, 1000, lastDay - MINUTE);
+  counter.update(110, 1000, lastDay);
+
+  assert.strictEqual(counter.rotate(nextDay), true);
+  assert.deepStrictEqual(
+    {today: counter.getMetrics().today, yesterday: counter.getMetrics().yesterday},
+    {today: 0, yesterday: 10}
+  );
+  assert.strictEqual(counter.getMetrics().lastMonth, 10);
+  assert.strictEqual(counter.getMetrics().thisMonth, 0);
+  assert.strictEqual(counter.rotate(nextDay + MINUTE), false);
+
+  done();
+}
@@ -0,0 +1,13 @@
+// Part of <http://miracle.systems/p/h5.modbus.inode> licensed under <MIT>
+
+'use strict';
+
+/**
+ * @param {Device} device
+ * @param {DeviceCommand} command
+ * @returns {Buffer}
+ */
+module.exports = function encodeCommand(device, command)
+{
+  return new Buffer([command.type, command.output ? 1 : 0]);
+};
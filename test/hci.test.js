@@ -0,0 +1,166 @@
+// Part of <http://miracle.systems/p/h5.modbus.inode> licensed under <MIT>
+
+'use strict';
+
+const assert = require('assert');
+const EventEmitter = require('events').EventEmitter;
+const iNodeModbus = require('../lib');
+const helpers = require('./helpers');
+
+const PACKET = '043E0C02010000063E6D6F120000C4';
+const OTHER_PACKET = '043E0C02010000073E6D6F120000B0';
+
+helpers.runTests('hci', [
+  testPacketSplitAcrossChunks,
+  testPacketsInOneChunk,
+  testByteSplitAcrossChunks,
+  testMonitorText,
+  testResync
+], () => {});
+
+/**
+ * A packet is decoded once all of its bytes arrive.
+ *
+ * @param {function()} done
+ */
+function testPacketSplitAcrossChunks(done)
+{
+  const setUp = setUpGateway();
+
+  setUp.lan.send(PACKET.substring(0, 10));
+
+  assert.deepStrictEqual(setUp.packets, []);
+
+  setUp.lan.send(PACKET.substring(10));
+
+  assert.deepStrictEqual(setUp.packets, [PACKET]);
+
+  tearDown(setUp, done);
+}
+
+/**
+ * All the packets of a chunk are decoded, whether separated by line breaks or not.
+ *
+ * @param {function()} done
+ */
+function testPacketsInOneChunk(done)
+{
+  const setUp = setUpGateway();
+
+  setUp.lan.send(`${PACKET}${OTHER_PACKET}\r\n${PACKET.toLowerCase()}\r\n`);
+
+  assert.deepStrictEqual(setUp.packets, [PACKET, OTHER_PACKET, PACKET]);
+  assert.strictEqual(setUp.gateway.getConnectionInfo(setUp.source).stats.decodeErrors, 0);
+
+  tearDown(setUp, done);
+}
+
+/**
+ * A chunk ending in the middle of a hex encoded byte is continued by the next chunk.
+ *
+ * @param {function()} done
+ */
+function testByteSplitAcrossChunks(done)
+{
+  const setUp = setUpGateway();
+
+  setUp.lan.send(PACKET.substring(0, 7));
+  setUp.lan.send(PACKET.substring(7, 19));
+  setUp.lan.send(PACKET.substring(19));
+
+  assert.deepStrictEqual(setUp.packets, [PACKET]);
+
+  tearDown(setUp, done);
+}
+
+/**
+ * The hex characters of the text between the packets don't shift the pairing of the hex characters
+ * of the following packet, even if the text ends a chunk.
+ *
+ * @param {function()} done
+ */
+function testMonitorText(done)
+{
+  const setUp = setUpGateway();
+
+  setUp.lan.send(`Welcome\r\n${PACKET}\r\nCmd OK\r\nWelco`);
+  setUp.lan.send(`me\r\n${OTHER_PACKET}`);
+
+  assert.deepStrictEqual(setUp.packets, [PACKET, OTHER_PACKET]);
+  assert.strictEqual(setUp.gateway.getConnectionInfo(setUp.source).stats.decodeErrors, 0);
+
+  tearDown(setUp, done);
+}
+
+/**
+ * The invalid bytes are skipped until the start of the next advertising report and counted as one decode error
+ * per resync.
+ *
+ * @param {function()} done
+ */
+function testResync(done)
+{
+  const setUp = setUpGateway();
+  const errors = [];
+
+  setUp.gateway.on('hci:error', err => errors.push(err.message));
+
+  setUp.lan.send(`Added\r\n${PACKET}`);
+  setUp.lan.send(`FF0400${OTHER_PACKET}`);
+
+  assert.deepStrictEqual(setUp.packets, [PACKET, OTHER_PACKET]);
+  assert.deepStrictEqual(errors, ['Invalid HCI packet type: 0xAD', 'Invalid HCI packet type: 0xFF']);
+  assert.strictEqual(setUp.gateway.getConnectionInfo(setUp.source).stats.decodeErrors, 2);
+  assert.strictEqual(setUp.gateway.getConnectionInfo(setUp.source).stats.packets, 2);
+
+  tearDown(setUp, done);
+}
+
+/**
+ * @returns {{gateway: Gateway, source: StreamSource, lan: Object, packets: Array<string>}}
+ */
+function setUpGateway()
+{
+  const gateway = new iNodeModbus.Gateway({});
+  const lan = createFakeLan();
+  const source = new iNodeModbus.StreamSource({
+    stream: lan.stream,
+    hexEncoded: true
+  });
+  const packets = [];
+
+  gateway.on('hci:packet', packet => packets.push(packet.toString('hex').toUpperCase()));
+  gateway.addConnection(source);
+
+  return {
+    gateway: gateway,
+    source: source,
+    lan: lan,
+    packets: packets
+  };
+}
+
+/**
+ * @param {{gateway: Gateway}} setUp
+ * @param {function()} done
+ */
+function tearDown(setUp, done)
+{
+  setUp.gateway.destroy(true);
+  done();
+}
+
+/**
+ * A stream sending the hex encoded data like an iNode LAN, one chunk per `send()`.
+ *
+ * @returns {{stream: EventEmitter, send: function(string)}}
+ */
+function createFakeLan()
+{
+  const stream = new EventEmitter();
+
+  return {
+    stream: stream,
+    send: text => stream.emit('data', new Buffer(text, 'ascii'))
+  };
+}
@@ -0,0 +1,34 @@
+// Part of <http://miracle.systems/p/h5.modbus.inode> licensed under <MIT>
+
+'use strict';
+
+/**
+ * Runs the specified tests one after another and fails if they don't finish within 10 seconds.
+ *
+ * @param {string} name
+ * @param {Array<function(function())>} tests
+ * @param {function()} done
+ */
+exports.runTests = function(name, tests, done)
+{
+  const timer = setTimeout(() =>
+  {
+    throw new Error(`The ${name} tests timed out.`);
+  }, 10000);
+
+  const runNext = i =>
+  {
+    if (i === tests.length)
+    {
+      clearTimeout(timer);
+      console.log(`${name}: ${tests.length} tests passed`);
+      done();
+
+      return;
+    }
+
+    tests[i](() => runNext(i + 1));
+  };
+
+  runNext(0);
+};
@@ -0,0 +1,134 @@
+// Part of <http://miracle.systems/p/h5.modbus.inode> licensed under <MIT>
+
+'use strict';
+
+const assert = require('assert');
+const History = require('../lib/History');
+const helpers = require('./helpers');
+
+helpers.runTests('history', [
+  testAggregate,
+  testAggregateAll,
+  testIgnoreInvalidValues,
+  testRetention,
+  testMaxSamples,
+  testInvalidWindow
+], () => {});
+
+/**
+ * The stats of a window include only the samples from that window.
+ *
+ * @param {function()} done
+ */
+function testAggregate(done)
+{
+  const history = new History({properties: ['temperature'], windows: [60000, 3600000]});
+  const now = Date.now();
+
+  history.add('temperature', 10, now - 120000);
+  history.add('temperature', 20, now - 30000);
+  history.add('temperature', 24, now - 1000);
+
+  assert.deepStrictEqual(history.aggregate('temperature', 60000), {count: 2, min: 20, max: 24, mean: 22});
+  assert.deepStrictEqual(history.aggregate('temperature', 3600000), {count: 3, min: 10, max: 24, mean: 18});
+  assert.deepStrictEqual(history.aggregate('humidity', 60000), {count: 0, min: null, max: null, mean: null});
+
+  done();
+}
+
+/**
+ * `aggregateAll()` returns the stats of each property for each window in the order of the windows.
+ *
+ * @param {function()} done
+ */
+function testAggregateAll(done)
+{
+  const history = new History({properties: ['temperature', 'humidity'], windows: [60000, 3600000]});
+  const now = Date.now();
+
+  history.add('temperature', 21, now - 120000);
+  history.add('humidity', 40, now - 1000);
+
+  assert.deepStrictEqual(history.aggregateAll(), {
+    temperature: [
+      {count: 0, min: null, max: null, mean: null},
+      {count: 1, min: 21, max: 21, mean: 21}
+    ],
+    humidity: [
+      {count: 1, min: 40, max: 40, mean: 40},
+      {count: 1, min: 40, max: 40, mean: 40}
+    ]
+  });
+
+  done();
+}
+
+/**
+ * Values that aren't numbers and properties that aren't tracked are ignored.
+ *
+ * @param {function()} done
+ */
+function testIgnoreInvalidValues(done)
+{
+  const history = new History({properties: ['temperature']});
+
+  history.add('temperature', null);
+  history.add('temperature', NaN);
+  history.add('temperature', '21');
+  history.add('pressure', 1000);
+
+  assert.deepStrictEqual(history.query('temperature'), []);
+  assert.deepStrictEqual(history.query('pressure'), []);
+
+  done();
+}
+
+/**
+ * The samples older than the retention are dropped.
+ *
+ * @param {function()} done
+ */
+function testRetention(done)
+{
+  const history = new History({properties: ['rssi'], windows: [60000], retention: 120000});
+  const now = Date.now();
+
+  history.add('rssi', -70, now - 180000);
+  history.add('rssi', -60, now - 60000);
+
+  assert.deepStrictEqual(history.query('rssi'), [{time: now - 60000, value: -60}]);
+
+  done();
+}
+
+/**
+ * Only the newest `maxSamples` samples are kept.
+ *
+ * @param {function()} done
+ */
+function testMaxSamples(done)
+{
+  const history = new History({properties: ['rssi'], maxSamples: 2});
+  const now = Date.now();
+
+  history.add('rssi', -70, now - 3000);
+  history.add('rssi', -60, now - 2000);
+  history.add('rssi', -50, now - 1000);
+
+  assert.deepStrictEqual(history.query('rssi').map(sample => sample.value), [-60, -50]);
+
+  done();
+}
+
+/**
+ * A window longer than the retention is rejected.
+ *
+ * @param {function()} done
+ */
+function testInvalidWindow(done)
+{
+  assert.throws(() => new History({windows: [60000], retention: 1000}), /Invalid history window: 60000/);
+  assert.throws(() => new History({windows: [0, 60000]}), /Invalid history window: 0/);
+
+  done();
+}
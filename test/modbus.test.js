@@ -0,0 +1,314 @@
+// Part of <http://miracle.systems/p/h5.modbus.inode> licensed under <MIT>
+
+'use strict';
+
+const assert = require('assert');
+const modbus = require('h5.modbus');
+const btHci = require('h5.bluetooth.hci');
+const iNodeHci = require('h5.bluetooth.hci.inode');
+const iNodeModbus = require('../lib');
+const helpers = require('./helpers');
+
+const MAC = '00:12:6F:6D:3E:06';
+const UNIT = 1;
+
+helpers.runTests('modbus', [
+  testReadInputRegisters,
+  testReadBasicDeviceIdentification,
+  testReadRegularDeviceIdentification,
+  testReadExtendedDeviceIdentification,
+  testReadDeviceIdentificationStream,
+  testReadDeviceIdentificationIndividual,
+  testReadRawDataOfUnknownModel,
+  testReadCareSensorRegisters
+], () => {});
+
+/**
+ * The Read Input Registers function reads the same register map as the Read Holding Registers function.
+ *
+ * @param {function()} done
+ */
+function testReadInputRegisters(done)
+{
+  const gateway = setUpGateway();
+
+  readRegisters(gateway, modbus.FunctionCode.ReadInputRegisters, 11, 2, response =>
+  {
+    assert.strictEqual(response.data.readUInt16BE(0), iNodeHci.DeviceModel.CareRelay);
+    assert.strictEqual(response.data.readInt16BE(2), -60);
+
+    readRegisters(gateway, modbus.FunctionCode.ReadHoldingRegisters, 11, 2, holdingResponse =>
+    {
+      assert.deepStrictEqual(holdingResponse.data, response.data);
+
+      gateway.destroy(true);
+      done();
+    });
+  });
+}
+
+/**
+ * The basic category has the mandatory vendor name, product code and major/minor revision objects.
+ *
+ * @param {function()} done
+ */
+function testReadBasicDeviceIdentification(done)
+{
+  const gateway = setUpGateway();
+
+  readDeviceIdentification(gateway, 0x01, 0x00, response =>
+  {
+    assert.strictEqual(response.conformityLevel, 0x83);
+    assert.deepStrictEqual(response.objects, [
+      {id: 0x00, value: 'iNode.pl'},
+      {id: 0x01, value: '0x92'},
+      {id: 0x02, value: '0.0'}
+    ]);
+
+    gateway.destroy(true);
+    done();
+  });
+}
+
+/**
+ * The regular category adds the vendor URL, product name, model name and user application name objects.
+ *
+ * @param {function()} done
+ */
+function testReadRegularDeviceIdentification(done)
+{
+  const gateway = setUpGateway();
+
+  readDeviceIdentification(gateway, 0x02, 0x00, response =>
+  {
+    assert.deepStrictEqual(response.objects.map(object => object.id), [0x00, 0x01, 0x02, 0x03, 0x04, 0x05, 0x06]);
+    assert.strictEqual(response.objects[4].value, 'iNode CareRelay');
+    assert.strictEqual(response.objects[5].value, 'CareRelay');
+    assert.strictEqual(response.objects[6].value, 'Relay');
+
+    gateway.destroy(true);
+    done();
+  });
+}
+
+/**
+ * The extended category adds the MAC address object.
+ *
+ * @param {function()} done
+ */
+function testReadExtendedDeviceIdentification(done)
+{
+  const gateway = setUpGateway();
+
+  readDeviceIdentification(gateway, 0x03, 0x00, response =>
+  {
+    assert.deepStrictEqual(response.objects.map(object => object.id), [0x00, 0x01, 0x02, 0x03, 0x04, 0x05, 0x06, 0x80]);
+    assert.deepStrictEqual(response.objects[7], {id: 0x80, value: MAC});
+
+    gateway.destroy(true);
+    done();
+  });
+}
+
+/**
+ * A stream access starting at an object ID of the category returns the objects from that ID and a stream access
+ * starting at an unknown object ID restarts from the beginning of the category.
+ *
+ * @param {function()} done
+ */
+function testReadDeviceIdentificationStream(done)
+{
+  const gateway = setUpGateway();
+
+  readDeviceIdentification(gateway, 0x02, 0x04, fromProductName =>
+  {
+    assert.deepStrictEqual(fromProductName.objects.map(object => object.id), [0x04, 0x05, 0x06]);
+    assert.strictEqual(fromProductName.moreFollows, false);
+
+    readDeviceIdentification(gateway, 0x01, 0x80, fromUnknown =>
+    {
+      assert.deepStrictEqual(fromUnknown.objects.map(object => object.id), [0x00, 0x01, 0x02]);
+
+      gateway.destroy(true);
+      done();
+    });
+  });
+}
+
+/**
+ * The individual access returns only the requested object and rejects unknown object IDs.
+ *
+ * @param {function()} done
+ */
+function testReadDeviceIdentificationIndividual(done)
+{
+  const gateway = setUpGateway();
+
+  readDeviceIdentification(gateway, 0x04, 0x02, revision =>
+  {
+    assert.deepStrictEqual(revision.objects, [{id: 0x02, value: '0.0'}]);
+
+    readDeviceIdentification(gateway, 0x04, 0x07, unknown =>
+    {
+      assert.strictEqual(unknown, modbus.ExceptionCode.IllegalDataAddress);
+
+      readDeviceIdentification(gateway, 0x05, 0x00, invalid =>
+      {
+        assert.strictEqual(invalid, modbus.ExceptionCode.IllegalDataValue);
+
+        gateway.destroy(true);
+        done();
+      });
+    });
+  });
+}
+
+/**
+ * The devices of models unknown to this version expose the bytes of the manufacturer specific data
+ * attached by the gateway.
+ *
+ * @param {function()} done
+ */
+function testReadRawDataOfUnknownModel(done)
+{
+  const gateway = new iNodeModbus.Gateway({});
+
+  gateway.addDevice(new iNodeModbus.Device(MAC, UNIT));
+  gateway.handleAdvertisingReport({
+    address: MAC,
+    rssi: -60,
+    data: [{
+      type: btHci.EirDataType.ManufacturerSpecificData,
+      model: 0x77,
+      rtto: false,
+      alarms: {},
+      payload: new Buffer('90770102030405', 'hex')
+    }]
+  }, null);
+
+  readRegisters(gateway, modbus.FunctionCode.ReadHoldingRegisters, 17, 19, response =>
+  {
+    assert.strictEqual(response.data.readUInt16BE(0), 0x7790);
+    assert.strictEqual(response.data.readUInt16BE(2), 5);
+    assert.strictEqual(response.data.slice(4, 12).toString('hex'), '0102030405000000');
+    assert.ok(response.data.slice(12, 36).every(byte => byte === 0));
+    assert.strictEqual(response.data.readUInt16BE(36) & 0x20, 0x20);
+
+    gateway.destroy(true);
+    done();
+  });
+}
+
+/**
+ * The Care Sensor PT and PHT models have the Care Sensor register layout.
+ *
+ * @param {function()} done
+ */
+function testReadCareSensorRegisters(done)
+{
+  const gateway = new iNodeModbus.Gateway({});
+
+  gateway.addDevice(new iNodeModbus.Device(MAC, UNIT));
+  gateway.addDevice(new iNodeModbus.Device('00:12:6F:6D:3E:07', UNIT + 1));
+
+  [
+    {address: MAC, model: iNodeHci.DeviceModel.CareSensorPT, humidity: undefined},
+    {address: '00:12:6F:6D:3E:07', model: iNodeHci.DeviceModel.CareSensorPHT, humidity: 45.5}
+  ].forEach(sensor => gateway.handleAdvertisingReport({
+    address: sensor.address,
+    rssi: -60,
+    data: [{
+      type: btHci.EirDataType.ManufacturerSpecificData,
+      model: sensor.model,
+      rtto: false,
+      alarms: {},
+      temperature: 21.5,
+      humidity: sensor.humidity,
+      pressure: 1013.25
+    }]
+  }, null));
+
+  readRegisters(gateway, modbus.FunctionCode.ReadHoldingRegisters, 17, 13, ptResponse =>
+  {
+    assert.strictEqual(ptResponse.data.readInt16BE(2), 2150);
+    assert.strictEqual(ptResponse.data.readInt16BE(6), 16212);
+    assert.strictEqual(ptResponse.data.readUInt16BE(24) & 0x380, 0x280);
+
+    gateway.handleModbusRequest(UNIT + 1, {
+      functionCode: modbus.FunctionCode.ReadHoldingRegisters,
+      startingAddress: 17,
+      quantity: 13,
+      startingIndex: 34,
+      endingIndex: 60
+    }, phtResponse =>
+    {
+      assert.strictEqual(phtResponse.data.readInt16BE(2), 2150);
+      assert.strictEqual(phtResponse.data.readUInt16BE(4), 4550);
+      assert.strictEqual(phtResponse.data.readInt16BE(6), 16212);
+      assert.strictEqual(phtResponse.data.readUInt16BE(24) & 0x380, 0x380);
+
+      gateway.destroy(true);
+      done();
+    });
+  });
+}
+
+/**
+ * @returns {Gateway}
+ */
+function setUpGateway()
+{
+  const gateway = new iNodeModbus.Gateway({});
+
+  gateway.addDevice(new iNodeModbus.Device(MAC, UNIT));
+  gateway.handleAdvertisingReport({
+    address: MAC,
+    rssi: -60,
+    data: [{
+      type: btHci.EirDataType.LocalNameComplete,
+      value: 'Relay'
+    }, {
+      type: btHci.EirDataType.ManufacturerSpecificData,
+      model: iNodeHci.DeviceModel.CareRelay,
+      rtto: false,
+      alarms: {},
+      output: false
+    }]
+  }, null);
+
+  return gateway;
+}
+
+/**
+ * @param {Gateway} gateway
+ * @param {number} functionCode
+ * @param {number} startingAddress
+ * @param {number} quantity
+ * @param {function(*)} respond
+ */
+function readRegisters(gateway, functionCode, startingAddress, quantity, respond)
+{
+  gateway.handleModbusRequest(UNIT, {
+    functionCode: functionCode,
+    startingAddress: startingAddress,
+    quantity: quantity,
+    startingIndex: startingAddress * 2,
+    endingIndex: (startingAddress + quantity) * 2
+  }, respond);
+}
+
+/**
+ * @param {Gateway} gateway
+ * @param {number} readDeviceIdCode
+ * @param {number} objectId
+ * @param {function(*)} respond
+ */
+function readDeviceIdentification(gateway, readDeviceIdCode, objectId, respond)
+{
+  gateway.handleModbusRequest(UNIT, {
+    functionCode: modbus.FunctionCode.EncapsulatedInterfaceTransport,
+    meiType: 0x0E,
+    readDeviceIdCode: readDeviceIdCode,
+    objectId: objectId
+  }, respond);
+}
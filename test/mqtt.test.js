@@ -0,0 +1,244 @@
+// Part of <http://miracle.systems/p/h5.modbus.inode> licensed under <MIT>
+
+'use strict';
+
+const assert = require('assert');
+const net = require('net');
+const aedes = require('aedes');
+const mqtt = require('mqtt');
+const btHci = require('h5.bluetooth.hci');
+const iNodeHci = require('h5.bluetooth.hci.inode');
+const iNodeModbus = require('../lib');
+const helpers = require('./helpers');
+
+const MACS = ['00:12:6F:6D:3E:06', '00:12:6F:6D:3E:07'];
+
+const broker = aedes();
+const server = net.createServer(broker.handle);
+
+server.listen(0, '127.0.0.1', () =>
+{
+  helpers.runTests('mqtt', [
+    testPublishState,
+    testUnpublishDevice,
+    testPublishError,
+    testUnpublishOnDestroy
+  ], () => broker.close(() => server.close()));
+});
+
+/**
+ * The state properties, the availability and the Home Assistant discovery configs of a device are published
+ * to the broker after an advertising report.
+ *
+ * @param {function()} done
+ */
+function testPublishState(done)
+{
+  setUp(MACS[0], setUp =>
+  {
+    const deviceId = '00126f6d3e06';
+
+    expectMessages(setUp.subscriber, {
+      [`inode/${deviceId}/temperature`]: payload => payload === '21.5',
+      [`inode/${deviceId}/availability`]: payload => payload === 'online',
+      [`homeassistant/sensor/${deviceId}/temperature/config`]: payload =>
+      {
+        const config = JSON.parse(payload);
+
+        assert.strictEqual(config.unique_id, `${deviceId}_temperature`);
+        assert.strictEqual(config.state_topic, `inode/${deviceId}/temperature`);
+        assert.strictEqual(config.availability_topic, `inode/${deviceId}/availability`);
+        assert.strictEqual(config.device_class, 'temperature');
+        assert.strictEqual(config.unit_of_measurement, '°C');
+
+        return true;
+      }
+    }, () => tearDown(setUp, done));
+
+    setUp.gateway.handleAdvertisingReport(createCareSensorReport(MACS[0], 21.5), null);
+  });
+}
+
+/**
+ * Removing a device from the gateway removes its discovery configs and publishes it as offline.
+ *
+ * @param {function()} done
+ */
+function testUnpublishDevice(done)
+{
+  setUp(MACS[1], setUp =>
+  {
+    const configTopic = 'homeassistant/sensor/00126f6d3e07/temperature/config';
+
+    expectMessages(setUp.subscriber, {
+      [configTopic]: payload => payload !== ''
+    }, () =>
+    {
+      expectMessages(setUp.subscriber, {
+        [configTopic]: payload => payload === '',
+        'inode/00126f6d3e07/availability': payload => payload === 'offline'
+      }, () => tearDown(setUp, done));
+
+      setUp.gateway.removeDevice(setUp.device);
+    });
+
+    setUp.gateway.handleAdvertisingReport(createCareSensorReport(MACS[1], 20), null);
+  });
+}
+
+/**
+ * A failed publish is emitted as the `publish:error` event instead of the `error` event.
+ *
+ * @param {function()} done
+ */
+function testPublishError(done)
+{
+  const gateway = new iNodeModbus.Gateway({});
+  const client = {
+    connected: true,
+    on: () => {},
+    removeListener: () => {},
+    publish: (topic, payload, options, callback) => callback(new Error('Connection closed.'))
+  };
+  const bridge = new iNodeModbus.MqttBridge(gateway, {client: client});
+  const errors = [];
+
+  bridge.on('publish:error', err => errors.push(err.message));
+  bridge.start();
+
+  gateway.addDevice(new iNodeModbus.Device(MACS[0], 1));
+
+  assert.deepStrictEqual(errors, ['Connection closed.']);
+
+  bridge.stop();
+  gateway.destroy(true);
+  done();
+}
+
+/**
+ * Destroying the gateway removes its devices before the listeners, so the bridge publishes them as offline.
+ *
+ * @param {function()} done
+ */
+function testUnpublishOnDestroy(done)
+{
+  const gateway = new iNodeModbus.Gateway({});
+  const published = {};
+  const client = {
+    connected: true,
+    on: () => {},
+    removeListener: () => {},
+    publish: (topic, payload) =>
+    {
+      published[topic] = payload;
+    }
+  };
+  const bridge = new iNodeModbus.MqttBridge(gateway, {client: client});
+
+  bridge.start();
+  gateway.addDevice(new iNodeModbus.Device(MACS[0], 1));
+  gateway.destroy(true);
+
+  assert.strictEqual(published['inode/00126f6d3e06/availability'], 'offline');
+
+  bridge.stop();
+  done();
+}
+
+/**
+ * Each test uses a different device, so the messages retained by the broker don't leak into the other tests.
+ *
+ * @param {string} mac
+ * @param {function({gateway: Gateway, device: Device, bridge: MqttBridge, client: MqttClient, subscriber: MqttClient})} done
+ */
+function setUp(mac, done)
+{
+  const url = `mqtt://127.0.0.1:${server.address().port}`;
+  const gateway = new iNodeModbus.Gateway({});
+  const device = new iNodeModbus.Device(mac, 1);
+  const subscriber = mqtt.connect(url);
+
+  gateway.addDevice(device);
+
+  subscriber.subscribe(['inode/#', 'homeassistant/#'], err =>
+  {
+    assert.ifError(err);
+
+    const client = mqtt.connect(url);
+    const bridge = new iNodeModbus.MqttBridge(gateway, {
+      client: client,
+      homeAssistant: {}
+    });
+
+    bridge.start();
+
+    done({
+      gateway: gateway,
+      device: device,
+      bridge: bridge,
+      client: client,
+      subscriber: subscriber
+    });
+  });
+}
+
+/**
+ * @param {{gateway: Gateway, bridge: MqttBridge, client: MqttClient, subscriber: MqttClient}} setUp
+ * @param {function()} done
+ */
+function tearDown(setUp, done)
+{
+  setUp.bridge.stop();
+  setUp.gateway.destroy(true);
+  setUp.client.end(false, () => setUp.subscriber.end(false, done));
+}
+
+/**
+ * Calls `done` once a message accepted by the checker of each of the specified topics is received.
+ *
+ * @param {MqttClient} subscriber
+ * @param {Object<string, function(string): boolean>} checkers
+ * @param {function()} done
+ */
+function expectMessages(subscriber, checkers, done)
+{
+  const pending = new Set(Object.keys(checkers));
+  const onMessage = (topic, payload) =>
+  {
+    if (!pending.has(topic) || !checkers[topic](payload.toString()))
+    {
+      return;
+    }
+
+    pending.delete(topic);
+
+    if (pending.size === 0)
+    {
+      subscriber.removeListener('message', onMessage);
+      done();
+    }
+  };
+
+  subscriber.on('message', onMessage);
+}
+
+/**
+ * @param {string} mac
+ * @param {number} temperature
+ * @returns {AdvertisingReport}
+ */
+function createCareSensorReport(mac, temperature)
+{
+  return {
+    address: mac,
+    rssi: -60,
+    data: [{
+      type: btHci.EirDataType.ManufacturerSpecificData,
+      model: iNodeHci.DeviceModel.CareSensor1,
+      rtto: false,
+      alarms: {},
+      temperature: temperature,
+      position: {}
+    }]
+  };
+}
@@ -0,0 +1,223 @@
+// Part of <http://miracle.systems/p/h5.modbus.inode> licensed under <MIT>
+
+'use strict';
+
+const assert = require('assert');
+const iNodeModbus = require('../lib');
+const helpers = require('./helpers');
+
+const RegisterMap = iNodeModbus.RegisterMap;
+
+helpers.runTests('registerMap', [
+  testByteOrders,
+  testRegisterSentinels,
+  testTypeSentinels,
+  testFloat32Encoding,
+  testInt32Encoding,
+  testEncodedRegistersOverlap,
+  testGatewayAlarmsAddress
+], () => {});
+
+/**
+ * The 32-bit values are written in the byte order of the register or the register map.
+ *
+ * @param {function()} done
+ */
+function testByteOrders(done)
+{
+  const expected = {
+    ABCD: '11223344',
+    CDAB: '33441122',
+    BADC: '22114433',
+    DCBA: '44332211'
+  };
+
+  Object.keys(expected).forEach(byteOrder =>
+  {
+    const registerMap = new RegisterMap({
+      byteOrder: byteOrder,
+      registers: [{address: 0, type: 'uint32', property: 'value'}]
+    });
+
+    assert.strictEqual(write(registerMap, {value: 0x11223344}).toString('hex'), expected[byteOrder], byteOrder);
+  });
+
+  const mixed = new RegisterMap({
+    byteOrder: 'DCBA',
+    registers: [
+      {address: 0, type: 'int32', property: 'a'},
+      {address: 2, type: 'int32', property: 'b', byteOrder: 'ABCD'}
+    ]
+  });
+
+  assert.strictEqual(write(mixed, {a: -2, b: -2}).toString('hex'), 'feffffff' + 'fffffffe');
+
+  done();
+}
+
+/**
+ * By default, an undefined value is written as the `sentinel` of its register multiplied by the scale
+ * (or 0 without a sentinel).
+ *
+ * @param {function()} done
+ */
+function testRegisterSentinels(done)
+{
+  const registerMap = new RegisterMap({
+    registers: [
+      {address: 0, type: 'int16', property: 'temperature', scale: 100, sentinel: 0xFF},
+      {address: 1, type: 'uint16', property: 'level'}
+    ]
+  });
+
+  const buffer = write(registerMap, {temperature: null});
+
+  assert.strictEqual(buffer.readInt16BE(0), 0xFF * 100);
+  assert.strictEqual(buffer.readUInt16BE(2), 0);
+
+  done();
+}
+
+/**
+ * With the `type` sentinel strategy, an undefined value is written as the sentinel of the register type
+ * and a defined value is never written as the sentinel, even if clamped.
+ *
+ * @param {function()} done
+ */
+function testTypeSentinels(done)
+{
+  const registerMap = new RegisterMap({
+    sentinels: 'type',
+    registers: [
+      {address: 0, type: 'int16', property: 'a', scale: 100},
+      {address: 1, type: 'uint16', property: 'b'},
+      {address: 2, type: 'int16', property: 'c'},
+      {address: 3, type: 'uint16', property: 'd'}
+    ]
+  });
+
+  const buffer = write(registerMap, {c: -40000, d: 70000});
+
+  assert.strictEqual(buffer.readInt16BE(0), -0x8000);
+  assert.strictEqual(buffer.readUInt16BE(2), 0xFFFF);
+  assert.strictEqual(buffer.readInt16BE(4), -0x7FFF);
+  assert.strictEqual(buffer.readUInt16BE(6), 0xFFFE);
+
+  assert.throws(() => new RegisterMap({sentinels: {int8: 0}, registers: []}), /unknown sentinel strategy/);
+
+  done();
+}
+
+/**
+ * The `float32` encoding keeps the scaled registers at their addresses and adds their unscaled values
+ * as floats at `encodedAddress + 2 * address` (`NaN` if undefined).
+ *
+ * @param {function()} done
+ */
+function testFloat32Encoding(done)
+{
+  const registerMap = new RegisterMap({
+    encoding: 'float32',
+    encodedAddress: 10,
+    registers: [
+      {address: 0, type: 'uint16', property: 'level'},
+      {address: 1, type: 'int16', property: 'temperature', scale: 100, sentinel: 0xFF},
+      {address: 2, type: 'uint16', property: 'humidity', scale: 100, sentinel: 0xFF}
+    ]
+  });
+
+  assert.strictEqual(registerMap.length, 16);
+
+  const buffer = write(registerMap, {level: 7, temperature: -21.5});
+
+  assert.strictEqual(buffer.readUInt16BE(0), 7);
+  assert.strictEqual(buffer.readInt16BE(2), -2150);
+  assert.strictEqual(buffer.readFloatBE(24), -21.5);
+  assert.ok(isNaN(buffer.readFloatBE(28)));
+  assert.strictEqual(registerMap.getRegister(10), null, 'An unscaled register should not be encoded.');
+
+  done();
+}
+
+/**
+ * The `int32` encoding adds only the scaled 16-bit registers as scaled 32-bit integers.
+ *
+ * @param {function()} done
+ */
+function testInt32Encoding(done)
+{
+  const registerMap = new RegisterMap({
+    encoding: 'int32',
+    byteOrder: 'CDAB',
+    registers: [
+      {address: 0, type: 'int16', property: 'temperature', scale: 100},
+      {address: 1, type: 'uint32', property: 'sum', scale: 100}
+    ]
+  });
+
+  const buffer = write(registerMap, {temperature: 400, sum: 1});
+
+  assert.strictEqual(registerMap.length, 1002);
+  assert.strictEqual(buffer.readInt16BE(0), 0x7FFF, 'The 16-bit value should be clamped.');
+  assert.strictEqual(buffer.slice(2000, 2004).toString('hex'), '9c400000');
+  assert.strictEqual(registerMap.getRegister(1002), null, 'A 32-bit register should not be encoded.');
+
+  done();
+}
+
+/**
+ * An encoded register overlapping any other register is rejected.
+ *
+ * @param {function()} done
+ */
+function testEncodedRegistersOverlap(done)
+{
+  assert.throws(() => new RegisterMap({
+    encoding: 'float32',
+    encodedAddress: 0,
+    registers: [
+      {address: 1, type: 'int16', property: 'temperature', scale: 100},
+      {address: 2, type: 'uint16', property: 'level'}
+    ]
+  }), /overlaps/);
+
+  done();
+}
+
+/**
+ * All the default register maps have the gateway alarm bits at the same address.
+ *
+ * @param {function()} done
+ */
+function testGatewayAlarmsAddress(done)
+{
+  const registerMaps = iNodeModbus.registerMaps;
+  const definitions = Object.assign(
+    {common: registerMaps.common, raw: registerMaps.raw},
+    registerMaps.models,
+    registerMaps.beacons
+  );
+
+  Object.keys(definitions).forEach(name =>
+  {
+    const buffer = write(new RegisterMap(definitions[name]), {gatewayAlarms: [true, false, true]});
+
+    assert.strictEqual(buffer.readUInt16BE(16 * 2), 5, name);
+  });
+
+  done();
+}
+
+/**
+ * @param {RegisterMap} registerMap
+ * @param {Object} values
+ * @returns {Buffer}
+ */
+function write(registerMap, values)
+{
+  const buffer = new Buffer(registerMap.length * 2).fill(0);
+
+  registerMap.write(buffer, values, null);
+
+  return buffer;
+}